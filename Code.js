@@ -37,31 +37,56 @@ function addEmployee(data) { return Employees.addEmployee(data); }
 function updateEmployee(id, data) { return Employees.updateEmployee(id, data); }
 function getEmployeeById(id) { return Employees.getEmployeeById(id); }
 function listEmployees(filters) { return Employees.listEmployees(filters); }
+function getEmployerList() { return Employees.getEmployerList(); }
 function terminateEmployee(id, terminationDate) { return Employees.terminateEmployee(id, terminationDate); }
+function offboardEmployee(id, details) { return Employees.offboardEmployee(id, details); }
 function getSheetTestData() { return Employees.getSheetTestData(); }
 
 // --- Leave Management ---
 function addLeave(data) { return Leave.addLeave(data); }
 function listLeave(filters) { return Leave.listLeave(filters); }
+function approveLeave(leaveId, comments) { return Leave.approveLeave(leaveId, comments); }
+function rejectLeave(leaveId, comments) { return Leave.rejectLeave(leaveId, comments); }
+function cancelLeave(leaveId, comments) { return Leave.cancelLeave(leaveId, comments); }
+function recordMedicalCertificate(leaveId) { return Leave.recordMedicalCertificate(leaveId); }
+function getLeaveBalances(employeeId, asOfDate) { return Leave.getLeaveBalances(employeeId, asOfDate); }
 
 // --- Loan Management ---
 function addLoanTransaction(data) { return Loans.addLoanTransaction(data); }
 function getLoanHistory(employeeId) { return Loans.getLoanHistory(employeeId); }
 function getCurrentLoanBalance(employeeId) { return Loans.getCurrentLoanBalance(employeeId); }
+function getLoanBalanceBreakdown(employeeId, asOfDate) { return Loans.getLoanBalanceBreakdown(employeeId, asOfDate); }
+function accrueLoanInterest(asOfDate) { return Loans.accrueLoanInterest(asOfDate); }
+function settleLoanOnTermination(employeeId, options) { return Loans.settleLoanOnTermination(employeeId, options); }
 
 // --- Timesheet Management ---
 function importTimesheetData(data) { return Timesheets.importTimesheetData(data); }
+function previewTimesheetImport(data) { return Timesheets.previewTimesheetImport(data); }
+function discardTimesheetImport(fileId) { return Timesheets.discardTimesheetImport(fileId); }
+function importClockPunches(csvText, options) { return Timesheets.importClockPunches(csvText, options); }
 function approveTimesheet(id) { return Timesheets.approveTimesheet(id); }
-function rejectTimesheet(id) { return Timesheets.rejectTimesheet(id); }
+function rejectTimesheet(id, reason) { return Timesheets.rejectTimesheet(id, reason); }
+function approveTimesheets(selection) { return Timesheets.approveTimesheets(selection); }
+function rejectTimesheets(ids, reason) { return Timesheets.rejectTimesheets(ids, reason); }
+function resubmitTimesheet(id, changes) { return Timesheets.resubmitTimesheet(id, changes); }
+function getTimesheetHistory(id) { return Timesheets.getTimesheetHistory(id); }
 function listPendingTimesheets(filters) { return Timesheets.listPendingTimesheets(filters); }
 
 // --- Payroll Management ---
 function createPayslip(data) { return Payroll.createPayslip(data); }
 function listPayslips(filters) { return Payroll.listPayslips(filters); }
 function calculatePayslip(data) { return Payroll.calculatePayslip(data); }
+function getPublicHolidayPay(employeeName, weekEnding) { return Payroll.getPublicHolidayPay(employeeName, weekEnding); }
 function generatePayslipPDF(recordNumber) { return Payroll.generatePayslipPDF(recordNumber); }
+function reversePayslip(recordNumber, reason, corrections) { return Payroll.reversePayslip(recordNumber, reason, corrections); }
 
 // --- Reporting ---
 function generateOutstandingLoansReport(asOfDate) { return Reports.generateOutstandingLoansReport(asOfDate); }
 function generateIndividualStatementReport(employeeName, startDate, endDate) { return Reports.generateIndividualStatementReport(employeeName, startDate, endDate); }
 function generateWeeklyPayrollSummaryReport(weekEnding) { return Reports.generateWeeklyPayrollSummaryReport(weekEnding); }
+function generateEMP201Report(month, year) { return Reports.generateEMP201Report(month, year); }
+function generateEMP501Report(taxYear, endMonth) { return Reports.generateEMP501Report(taxYear, endMonth); }
+function generateEmployerCostReport(startDate, endDate) { return Reports.generateEmployerCostReport(startDate, endDate); }
+function generateLoanScheduleReport(asOfDate) { return Reports.generateLoanScheduleReport(asOfDate); }
+function generateAbsenteeismReport(asOfDate) { return Reports.generateAbsenteeismReport(asOfDate); }
+function getReportSetupErrors() { return Reports.getReportSetupErrors(); }
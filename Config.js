@@ -5,8 +5,9 @@
 const CONFIG = {
   EMPLOYER_LIST: ["SA Grinding Wheels", "Scorpio Abrasives"],
   EMPLOYMENT_STATUS_LIST: ["Permanent", "Temporary", "Contract"],
-  LEAVE_REASONS: ["AWOL", "Sick Leave", "Annual Leave", "Unpaid Leave"],
-  LOAN_TYPES: ["Disbursement", "Repayment"],
+  LEAVE_REASONS: ["AWOL", "Sick Leave", "Annual Leave", "Family Responsibility Leave", "Unpaid Leave"],
+  LEAVE_STATUSES: ["Pending", "Approved", "Rejected", "Cancelled"],
+  LOAN_TYPES: ["Disbursement", "Repayment", "Interest", "Admin Fee", "Write-off", "Recovery Transfer"],
   DISBURSEMENT_MODES: ["With Salary", "Separate", "Manual Entry"],
   
   REQUIRED_EMPLOYEE_FIELDS: [
@@ -21,5 +22,312 @@ const CONFIG = {
     "ClockInRef"
   ],
 
+  // SARS PAYE tables keyed by tax year. A tax year is named after the year in
+  // which it ends, e.g. "2026" runs from 1 March 2025 to 28 February 2026.
+  // Add the next year's entry each March once the Budget figures are published;
+  // payslips for a tax year without an entry are refused.
+  TAX_TABLES: {
+    "2025": {
+      BRACKETS: [
+        { from: 0, base: 0, rate: 0.18 },
+        { from: 237100, base: 42678, rate: 0.26 },
+        { from: 370500, base: 77362, rate: 0.31 },
+        { from: 512800, base: 121475, rate: 0.36 },
+        { from: 673000, base: 179147, rate: 0.39 },
+        { from: 857900, base: 251258, rate: 0.41 },
+        { from: 1817000, base: 644489, rate: 0.45 }
+      ],
+      REBATES: { PRIMARY: 17235, SECONDARY: 9444, TERTIARY: 3145 },
+      THRESHOLDS: { UNDER_65: 95750, AGE_65_TO_74: 148217, AGE_75_AND_OVER: 165689 }
+    },
+    "2026": {
+      BRACKETS: [
+        { from: 0, base: 0, rate: 0.18 },
+        { from: 237100, base: 42678, rate: 0.26 },
+        { from: 370500, base: 77362, rate: 0.31 },
+        { from: 512800, base: 121475, rate: 0.36 },
+        { from: 673000, base: 179147, rate: 0.39 },
+        { from: 857900, base: 251258, rate: 0.41 },
+        { from: 1817000, base: 644489, rate: 0.45 }
+      ],
+      REBATES: { PRIMARY: 17235, SECONDARY: 9444, TERTIARY: 3145 },
+      THRESHOLDS: { UNDER_65: 95750, AGE_65_TO_74: 148217, AGE_75_AND_OVER: 165689 }
+    },
+    "2027": {
+      BRACKETS: [
+        { from: 0, base: 0, rate: 0.18 },
+        { from: 237100, base: 42678, rate: 0.26 },
+        { from: 370500, base: 77362, rate: 0.31 },
+        { from: 512800, base: 121475, rate: 0.36 },
+        { from: 673000, base: 179147, rate: 0.39 },
+        { from: 857900, base: 251258, rate: 0.41 },
+        { from: 1817000, base: 644489, rate: 0.45 }
+      ],
+      REBATES: { PRIMARY: 17235, SECONDARY: 9444, TERTIARY: 3145 },
+      THRESHOLDS: { UNDER_65: 95750, AGE_65_TO_74: 148217, AGE_75_AND_OVER: 165689 }
+    }
+  },
+  PAY_PERIODS_PER_YEAR: 52,
+
+  // Unemployment Insurance Fund contributions. The monthly ceiling is pro-rated
+  // to weekly pay using PAY_PERIODS_PER_YEAR.
+  UIF: {
+    EMPLOYEE_RATE: 0.01,
+    EMPLOYER_RATE: 0.01,
+    MONTHLY_CEILING: 17712,
+    // Employment statuses that always contribute
+    CONTRIBUTING_STATUSES: ["Permanent", "Contract"],
+    // Any other staff contribute once they work more than this many hours in a calendar month
+    MIN_MONTHLY_HOURS: 24
+  },
+
+  // Header names accepted for each PendingTimesheets column when importing
+  // spreadsheets. Matching ignores case, spaces and punctuation.
+  TIMESHEET_COLUMN_ALIASES: {
+    "EMPLOYEE NAME": ["Employee Name", "Employee", "Name"],
+    "WEEKENDING": ["Week Ending", "Week End", "Week Ending Date"],
+    "HOURS": ["Hours", "Standard Hours", "Normal Hours"],
+    "MINUTES": ["Minutes", "Standard Minutes", "Normal Minutes"],
+    "OVERTIMEHOURS": ["Overtime Hours", "OT Hours", "Overtime"],
+    "OVERTIMEMINUTES": ["Overtime Minutes", "OT Minutes"],
+    "NOTES": ["Notes", "Comments"]
+  },
+
+  // Day of the week a pay week ends on (0 = Sunday ... 6 = Saturday)
+  WEEK_ENDING_DAY: 5,
+
+  // Raw clock punch import. Punches are paired into shifts, the lunch break is
+  // deducted from shifts longer than LUNCH_AFTER_HOURS, and hours beyond the
+  // BCEA daily and weekly ordinary-hour limits are paid as overtime.
+  CLOCK_PUNCHES: {
+    LUNCH_BREAK_MINUTES: 30,
+    LUNCH_AFTER_HOURS: 5,
+    MAX_SHIFT_HOURS: 16,
+    DAILY_ORDINARY_HOURS: 9,
+    WEEKLY_ORDINARY_HOURS: 45,
+    COLUMN_ALIASES: {
+      "ClockInRef": ["Clock In Ref", "AC-No.", "Employee No", "User ID", "Badge"],
+      "TIMESTAMP": ["Date Time", "DateTime", "Time", "Punch Time"],
+      "DIRECTION": ["In/Out", "State", "Type", "Punch Type"]
+    }
+  },
+
+  // Skills Development Levy. Employers whose leviable payroll for the year is
+  // not expected to exceed the threshold are exempt.
+  SDL: {
+    RATE: 0.01,
+    ANNUAL_EXEMPTION_THRESHOLD: 500000
+  },
+
+  // Compensation Fund (COIDA) assessment estimates. Rates are a percentage of
+  // assessable earnings per employer, taken from the latest notice of
+  // assessment; each employee's earnings count up to the annual ceiling. Until
+  // an employer's rate is set, the employer cost report leaves its COIDA cost
+  // out and the reports menu lists it as a setup error.
+  COIDA: {
+    ANNUAL_EARNINGS_CEILING: 633168,
+    ASSESSMENT_RATES: {
+      "SA Grinding Wheels": 0,
+      "Scorpio Abrasives": 0
+    }
+  },
+
+  // SARS registration details per employer, used on EMP201 and EMP501 returns.
+  // The reports menu lists any missing references; EMP501 files are not
+  // written until they are set.
+  EMPLOYER_DETAILS: {
+    "SA Grinding Wheels": {
+      TRADING_NAME: "SA Grinding Wheels",
+      PAYE_REFERENCE: "",
+      SDL_REFERENCE: "",
+      UIF_REFERENCE: "",
+      CONTACT_PERSON: "",
+      CONTACT_NUMBER: "",
+      CONTACT_EMAIL: "",
+      POSTAL_CODE: ""
+    },
+    "Scorpio Abrasives": {
+      TRADING_NAME: "Scorpio Abrasives",
+      PAYE_REFERENCE: "",
+      SDL_REFERENCE: "",
+      UIF_REFERENCE: "",
+      CONTACT_PERSON: "",
+      CONTACT_NUMBER: "",
+      CONTACT_EMAIL: "",
+      POSTAL_CODE: ""
+    }
+  },
+
+  // Staff loan policy, checked when a loan is recorded. Earnings are averaged
+  // over the employee's most recent payslips. A manager can override a failed
+  // check; the override is recorded against the loan.
+  LOANS: {
+    // Maximum outstanding balance, as a multiple of average weekly earnings
+    MAX_BALANCE_WEEKS_OF_EARNINGS: 4,
+    // Number of recent payslips used to average weekly hours and pay
+    RECENT_PAYSLIPS: 8,
+    // Share of gross pay that must be left after all deductions, including
+    // the loan instalment
+    MIN_TAKE_HOME_RATIO: 0.5,
+    INELIGIBLE_STATUSES: ["Temporary"],
+    PROBATION_MONTHS: 3,
+    // Google account emails of the managers who may override a failed policy
+    // check. The override is recorded against the signed-in manager; with
+    // no managers listed, no loan can break the policy.
+    MANAGER_EMAILS: [],
+    // Share of the final payslip's gross pay deducted towards an outstanding
+    // loan on termination. This is company policy, not a statutory limit:
+    // BCEA s34(1)(a) allows a loan deduction the employee has agreed to in
+    // writing, and the 25% cap in s34(4) only covers damage or loss. A
+    // settlement can use the share the employee consented to instead.
+    MAX_FINAL_DEDUCTION_RATIO: 0.25
+  },
+
+  // Optional charges on staff loans, kept within the National Credit Act
+  // limits for unsecured credit. Interest is simple interest on the principal
+  // owed, at the annual rate set on each disbursement; repayments settle
+  // interest and fees before principal.
+  LOAN_CHARGES: {
+    // Repo rate + 21%; update when the repo rate changes
+    MAX_ANNUAL_INTEREST_RATE: 0.28,
+    // Initiation fee cap: R165 plus 10% of the amount above R1,000, at most R1,050
+    ADMIN_FEE_BASE: 165,
+    ADMIN_FEE_THRESHOLD: 1000,
+    ADMIN_FEE_RATE: 0.10,
+    ADMIN_FEE_MAX: 1050
+  },
+
+  // Working weeks, as the share of a normal day worked on each day from
+  // Sunday to Saturday. Employees work DEFAULT_WORK_PATTERN unless their
+  // WORK PATTERN column names another.
+  WORK_PATTERNS: {
+    "Mon-Fri": [0, 1, 1, 1, 1, 1, 0],
+    "Mon-Sat half day": [0, 1, 1, 1, 1, 1, 0.5]
+  },
+  DEFAULT_WORK_PATTERN: "Mon-Fri",
+
+  // Public holidays (Public Holidays Act 36 of 1994) by month and day. Good
+  // Friday and Family Day are worked out from Easter, and a holiday falling on
+  // a Sunday is also observed on the Monday. Once-off holidays declared by the
+  // President, such as election days, go in ADDITIONAL_PUBLIC_HOLIDAYS.
+  PUBLIC_HOLIDAYS: {
+    "01-01": "New Year's Day",
+    "03-21": "Human Rights Day",
+    "04-27": "Freedom Day",
+    "05-01": "Workers' Day",
+    "06-16": "Youth Day",
+    "08-09": "National Women's Day",
+    "09-24": "Heritage Day",
+    "12-16": "Day of Reconciliation",
+    "12-25": "Christmas Day",
+    "12-26": "Day of Goodwill"
+  },
+  ADDITIONAL_PUBLIC_HOLIDAYS: {
+    "2024-05-29": "General Election Day"
+  },
+  // When on, a payslip without a PUBLIC HOLIDAY PAY amount is paid the normal
+  // hours of each public holiday on the employee's working days. When off, the
+  // amount is only paid if entered, e.g. from the payroll form's calendar check.
+  PUBLIC_HOLIDAY_PAY_FROM_CALENDAR: false,
+
+  // Who approves leave requests (by email address), per employer. An
+  // employee's DEPARTMENT can name a different approver. Nobody can decide
+  // their own request.
+  LEAVE_APPROVERS: {
+    "SA Grinding Wheels": {
+      DEFAULT: "",
+      DEPARTMENTS: {}
+    },
+    "Scorpio Abrasives": {
+      DEFAULT: "",
+      DEPARTMENTS: {}
+    }
+  },
+
+  // HR administrators (by email address) who can decide any leave request,
+  // and who decide the requests of employees with no approver above. With no
+  // approver and no administrator, leave cannot be approved or rejected.
+  LEAVE_ADMINS: [],
+
+  // Leave entitlements (BCEA chapter 3). Leave is counted in working days;
+  // days worked are the ordinary hours on MASTERSALARY payslips divided by
+  // NORMAL_DAILY_HOURS. Annual and family responsibility leave cycles run
+  // from the employment date anniversary.
+  LEAVE: {
+    // "DaysWorked" accrues 1 day for every ANNUAL_DAYS_WORKED_PER_DAY days
+    // worked; "Cycle" accrues ANNUAL_DAYS_PER_CYCLE evenly over the cycle
+    ANNUAL_ACCRUAL: "DaysWorked",
+    ANNUAL_DAYS_WORKED_PER_DAY: 17,
+    // 21 consecutive days per annual leave cycle is 15 days on a 5-day week
+    ANNUAL_DAYS_PER_CYCLE: 15,
+    // 6 weeks of working days per 36-month cycle, but only 1 day for every
+    // 26 days worked in the first 6 months of employment
+    SICK_DAYS_PER_CYCLE: 30,
+    SICK_CYCLE_MONTHS: 36,
+    SICK_EARLY_MONTHS: 6,
+    SICK_EARLY_DAYS_WORKED_PER_DAY: 26,
+    // Available once employed for longer than 4 months
+    FAMILY_RESPONSIBILITY_DAYS: 3,
+    FAMILY_RESPONSIBILITY_MIN_MONTHS: 4,
+    // Hours paid for a day of leave
+    NORMAL_DAILY_HOURS: 9,
+    // Approved leave of these kinds is paid on the payslip for the week it
+    // falls in; other leave, such as unpaid leave and AWOL, is not paid
+    PAID_REASONS: ["Annual Leave", "Sick Leave", "Family Responsibility Leave"]
+  },
+
+  // Absenteeism tracking. AWOL and unplanned sick leave (reported on or after
+  // its first day) are counted over each rolling window. The Bradford Factor
+  // is spells squared times days over BRADFORD_WINDOW_DAYS. An employee is
+  // flagged for every threshold they reach; MEASURE is one of awolDays,
+  // awolSpells, sickDays, sickSpells or bradfordFactor, and WINDOW_DAYS must
+  // be one of WINDOWS_DAYS.
+  ABSENTEEISM: {
+    WINDOWS_DAYS: [30, 90, 365],
+    BRADFORD_WINDOW_DAYS: 365,
+    THRESHOLDS: [
+      { MEASURE: "awolDays", WINDOW_DAYS: 90, LIMIT: 1, ACTION: "Written warning" },
+      { MEASURE: "awolDays", WINDOW_DAYS: 90, LIMIT: 3, ACTION: "Disciplinary hearing" },
+      { MEASURE: "sickSpells", WINDOW_DAYS: 90, LIMIT: 3, ACTION: "Absence review meeting" },
+      { MEASURE: "bradfordFactor", LIMIT: 51, ACTION: "Verbal warning" },
+      { MEASURE: "bradfordFactor", LIMIT: 201, ACTION: "Written warning" },
+      { MEASURE: "bradfordFactor", LIMIT: 401, ACTION: "Final written warning" }
+    ],
+    // Sick leave of more than this many consecutive working days needs a
+    // medical certificate before it can be approved (BCEA s23(1)(a))
+    MEDICAL_CERTIFICATE_AFTER_DAYS: 2,
+    // So does any sick leave after more than this many occasions of sick
+    // leave in MEDICAL_CERTIFICATE_OCCASION_WEEKS weeks (BCEA s23(1)(b))
+    MEDICAL_CERTIFICATE_AFTER_OCCASIONS: 2,
+    MEDICAL_CERTIFICATE_OCCASION_WEEKS: 8
+  },
+
+  // Termination and final pay. UI-19 codes are the "reason for termination"
+  // codes on the Department of Employment and Labour UI-19 declaration.
+  TERMINATION: {
+    REASONS: ["Resignation", "Dismissal", "Retrenchment", "Contract End"],
+    UI19_CODES: {
+      "Resignation": "06",
+      "Dismissal": "04",
+      "Retrenchment": "11",
+      "Contract End": "05"
+    },
+    // Reasons where the employer pays the notice period it does not require
+    // the employee to work
+    NOTICE_PAY_REASONS: ["Dismissal", "Retrenchment"],
+    // BCEA s37 notice: 1 week for 6 months' service or less, 2 weeks for a
+    // year or less, 4 weeks after that. UP_TO_MONTHS is inclusive.
+    NOTICE_WEEKS: [
+      { UP_TO_MONTHS: 6, WEEKS: 1 },
+      { UP_TO_MONTHS: 12, WEEKS: 2 }
+    ],
+    NOTICE_WEEKS_AFTER: 4,
+    // BCEA s41 severance: 1 week's pay per completed year of service
+    SEVERANCE_REASONS: ["Retrenchment"],
+    SEVERANCE_WEEKS_PER_YEAR: 1,
+    // Weekly pay is averaged over the last 13 weeks (BCEA s35)
+    AVERAGE_WEEKS: 13
+  },
+
   // Add other required field lists as needed
 };
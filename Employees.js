@@ -4,6 +4,12 @@
 
 const EMPLOYEE_SHEET = 'EMPLOYEE DETAILS';
 
+// Optional template ID for the certificate of service. The template uses
+// {{FIELD}} placeholders for the fields filled in by
+// generateCertificateOfService. Without a template the certificate is laid
+// out by writeDefaultCertificateLayout.
+const CERTIFICATE_OF_SERVICE_TEMPLATE_ID = '';
+
 /**
  * Adds a new employee to the EMPLOYEE DETAILS sheet.
  * @param {object} data The employee data from the form.
@@ -155,6 +161,26 @@ function listEmployees(filters = {}) {
   }
 }
 
+/**
+ * Builds a lookup of employee records keyed by EMPLOYEE NAME, for matching
+ * many payslips or timesheets to employees with a single sheet read.
+ * @return {object} Employee records keyed by name.
+ */
+function getEmployeeLookup() {
+  const lookup = {};
+  listEmployees().forEach(employee => lookup[employee['EMPLOYEE NAME']] = employee);
+  return lookup;
+}
+
+/**
+ * Gets the employers from CONFIG.EMPLOYER_LIST, for the employer filters and
+ * selects in the UI.
+ * @return {Array<string>} The employer names.
+ */
+function getEmployerList() {
+  return CONFIG.EMPLOYER_LIST.slice();
+}
+
 /**
  * Terminates an employee by setting their termination date.
  * @param {string} id The unique ID of the employee to terminate.
@@ -165,6 +191,203 @@ function terminateEmployee(id, terminationDate) {
     return updateEmployee(id, { 'TERMINATION DATE': terminationDate, 'EMPLOYMENT STATUS': 'Terminated' });
 }
 
+/**
+ * Offboards an employee: records the termination date and reason, works out
+ * the final pay due on top of the last week's wages, and prepares the UI-19
+ * declaration data and certificate of service. Timesheets and payslips for
+ * weeks after the termination date are refused from then on. An outstanding
+ * loan is settled with settleLoanOnTermination when `loanSettlement` is
+ * given; otherwise the balance is returned so it can be settled once the
+ * final payslip exists.
+ * @param {string} id The unique ID of the employee.
+ * @param {object} details The `terminationDate`, `reason` (one of
+ *     CONFIG.TERMINATION.REASONS), `noticeWeeksWorked` and optional
+ *     `loanSettlement` options for settleLoanOnTermination.
+ * @return {object} Result with the `finalPay`, `ui19` data, `certificateUrl`,
+ *     any outstanding `loanBalance` and the `loanSettlement` result, or errors.
+ */
+function offboardEmployee(id, details) {
+  try {
+    details = details || {};
+    const employee = getEmployeeById(id);
+    if (!employee) {
+      return { success: false, message: 'Employee not found.' };
+    }
+    const validation = validateTermination(employee, details);
+    if (!validation.isValid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    const terminationDate = new Date(details.terminationDate);
+    const finalPay = calculateFinalPay(employee, terminationDate, details.reason, details.noticeWeeksWorked);
+    const update = updateEmployee(id, {
+      'TERMINATION DATE': terminationDate,
+      'TERMINATION REASON': details.reason,
+      'EMPLOYMENT STATUS': 'Terminated'
+    });
+    if (!update.success) return update;
+
+    employee['TERMINATION DATE'] = terminationDate;
+    employee['TERMINATION REASON'] = details.reason;
+    let certificateUrl = null;
+    try {
+      certificateUrl = generateCertificateOfService(employee, finalPay);
+    } catch (e) {
+      Logger.log('ERROR generating certificate of service for ' + employee.REFNAME + ': ' + e.message);
+    }
+
+    let loanSettlement = null;
+    if (details.loanSettlement && getCurrentLoanBalance(id) > 0) {
+      loanSettlement = settleLoanOnTermination(id, Object.assign({ date: terminationDate }, details.loanSettlement));
+    }
+
+    return {
+      success: true,
+      message: `${employee.REFNAME} terminated on ${formatDate(terminationDate)}. Final pay due: ${formatCurrency(finalPay.total)}.` +
+          (certificateUrl ? '' : ' The certificate of service could not be generated.') +
+          (loanSettlement ? ' ' + loanSettlement.message : ''),
+      finalPay: finalPay,
+      ui19: buildUI19Data(employee, finalPay),
+      certificateUrl: certificateUrl,
+      loanBalance: getCurrentLoanBalance(id),
+      loanSettlement: loanSettlement
+    };
+  } catch (e) {
+    Logger.log('ERROR in offboardEmployee: ' + e.message);
+    return { success: false, message: 'An error occurred while offboarding the employee.' };
+  }
+}
+
+/**
+ * Checks whether a pay week starts after an employee's termination date.
+ * The week the employee leaves in is still open for their final pay.
+ * @param {object} employee The employee record.
+ * @param {Date} weekEnding The week ending date.
+ * @return {boolean} True if no timesheet or payslip may be recorded for the week.
+ */
+function isAfterTermination(employee, weekEnding) {
+  if (!employee || !employee['TERMINATION DATE'] || !weekEnding) return false;
+  const weekStart = new Date(weekEnding);
+  weekStart.setDate(weekStart.getDate() - 6);
+  return formatDate(weekStart) > formatDate(employee['TERMINATION DATE']);
+}
+
+/**
+ * Builds the employee's UI-19 declaration for the Department of Employment
+ * and Labour.
+ * @param {object} employee The terminated employee record.
+ * @param {object} finalPay The result of calculateFinalPay.
+ * @return {object} The UI-19 fields.
+ */
+function buildUI19Data(employee, finalPay) {
+  const employer = CONFIG.EMPLOYER_DETAILS[employee.EMPLOYER] || {};
+  const weeklyHours = finalPay.weeklyPay && employee['HOURLY RATE'] ?
+      finalPay.weeklyPay / parseFloat(employee['HOURLY RATE']) : 0;
+  return {
+    uifReference: employer.UIF_REFERENCE || '',
+    employerName: employer.TRADING_NAME || employee.EMPLOYER,
+    idNumber: employee['ID NUMBER'],
+    firstNames: employee['EMPLOYEE NAME'],
+    surname: employee.SURNAME,
+    startDate: formatDate(employee['EMPLOYMENT DATE']),
+    endDate: formatDate(employee['TERMINATION DATE']),
+    reason: employee['TERMINATION REASON'],
+    reasonCode: CONFIG.TERMINATION.UI19_CODES[employee['TERMINATION REASON']],
+    // Monthly figures from the average week, over 52 weeks a year
+    monthlyHours: Math.round(weeklyHours * 52 / 12 * 100) / 100,
+    monthlyRemuneration: Math.round(finalPay.weeklyPay * 52 / 12 * 100) / 100
+  };
+}
+
+/**
+ * Generates the certificate of service (BCEA s42), from
+ * CERTIFICATE_OF_SERVICE_TEMPLATE_ID when one is set and otherwise from the
+ * default layout.
+ * @param {object} employee The terminated employee record.
+ * @param {object} finalPay The result of calculateFinalPay.
+ * @return {string} The URL of the generated PDF.
+ */
+function generateCertificateOfService(employee, finalPay) {
+  const employer = CONFIG.EMPLOYER_DETAILS[employee.EMPLOYER] || {};
+  const newDocName = 'Certificate of Service - ' + employee.REFNAME;
+  let newFile;
+  let doc;
+  if (CERTIFICATE_OF_SERVICE_TEMPLATE_ID) {
+    newFile = DriveApp.getFileById(CERTIFICATE_OF_SERVICE_TEMPLATE_ID).makeCopy(newDocName);
+    doc = DocumentApp.openById(newFile.getId());
+  } else {
+    doc = DocumentApp.create(newDocName);
+    newFile = DriveApp.getFileById(doc.getId());
+    writeDefaultCertificateLayout(doc.getBody());
+  }
+  const body = doc.getBody();
+
+  const fields = {
+    'EMPLOYEE NAME': employee['EMPLOYEE NAME'],
+    'SURNAME': employee.SURNAME,
+    'ID NUMBER': employee['ID NUMBER'],
+    'EMPLOYER': employer.TRADING_NAME || employee.EMPLOYER,
+    'EMPLOYMENT DATE': formatDate(employee['EMPLOYMENT DATE']),
+    'TERMINATION DATE': formatDate(employee['TERMINATION DATE']),
+    'TERMINATION REASON': employee['TERMINATION REASON'],
+    'DEPARTMENT': employee.DEPARTMENT || employee.EMPLOYER,
+    'HOURLY RATE': formatCurrency(parseFloat(employee['HOURLY RATE']) || 0),
+    'WEEKLY PAY': formatCurrency(finalPay.weeklyPay)
+  };
+  for (const key in fields) {
+    body.replaceText('{{' + key + '}}', fields[key] || '');
+  }
+  doc.saveAndClose();
+
+  const pdf = newFile.getAs('application/pdf');
+  const pdfFile = DriveApp.createFile(pdf).setName(newDocName + '.pdf');
+  newFile.setTrashed(true); // Delete the temporary Google Doc
+  return pdfFile.getUrl();
+}
+
+/**
+ * Writes the certificate of service layout used when no
+ * CERTIFICATE_OF_SERVICE_TEMPLATE_ID is set. It covers what BCEA s42
+ * requires: the parties, the dates of employment, the work done and the
+ * remuneration at termination.
+ * @param {Body} body The body of a new, empty document.
+ */
+function writeDefaultCertificateLayout(body) {
+  body.getParagraphs()[0].setText('Certificate of Service').setHeading(DocumentApp.ParagraphHeading.HEADING1);
+  body.appendParagraph('Issued in terms of section 42 of the Basic Conditions of Employment Act.');
+  body.appendParagraph('Employer: {{EMPLOYER}}');
+  body.appendParagraph('Employee: {{EMPLOYEE NAME}} {{SURNAME}}, ID number {{ID NUMBER}}');
+  body.appendParagraph('Employed from {{EMPLOYMENT DATE}} to {{TERMINATION DATE}}');
+  body.appendParagraph('Department: {{DEPARTMENT}}');
+  body.appendParagraph('Remuneration at termination: {{HOURLY RATE}} an hour, on average {{WEEKLY PAY}} a week');
+  body.appendParagraph('Reason for termination: {{TERMINATION REASON}}');
+}
+
+/**
+ * Validates termination details.
+ * @param {object} employee The employee being terminated.
+ * @param {object} details The termination details.
+ * @return {object} An object with `isValid` and a list of `errors`.
+ */
+function validateTermination(employee, details) {
+  const errors = [];
+  if (employee['EMPLOYMENT STATUS'] === 'Terminated') {
+    errors.push('Employee has already been terminated.');
+  }
+  if (CONFIG.TERMINATION.REASONS.indexOf(details.reason) === -1) {
+    errors.push('Termination reason must be one of: ' + CONFIG.TERMINATION.REASONS.join(', ') + '.');
+  }
+  if (!details.terminationDate || isNaN(new Date(details.terminationDate).getTime())) {
+    errors.push('Termination date is required.');
+  } else if (employee['EMPLOYMENT DATE'] && new Date(details.terminationDate) < new Date(employee['EMPLOYMENT DATE'])) {
+    errors.push('Termination date cannot be before the employment date.');
+  }
+  if (parseFloat(details.noticeWeeksWorked) < 0) {
+    errors.push('Notice weeks worked cannot be negative.');
+  }
+  return { isValid: errors.length === 0, errors: errors };
+}
+
 /**
  * Validates employee data.
  * @param {object} data The employee data to validate.
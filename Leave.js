@@ -3,9 +3,13 @@
  */
 
 /**
- * Adds a new leave record.
+ * Adds a new leave request. Requests start as Pending and are routed to the
+ * approver for the employee's employer and department. AWOL is recorded by
+ * the employee's approver or a leave administrator rather than requested, so
+ * it is approved straight away. Sick leave that needs a medical certificate
+ * (see needsMedicalCertificate) is flagged unless one is provided.
  * @param {object} data The leave data from the form.
- * @return {object} A success or error message.
+ * @return {object} A success or error message, with the new `leaveId`.
  */
 function addLeave(data) {
   try {
@@ -14,31 +18,76 @@ function addLeave(data) {
       return { success: false, errors: validation.errors };
     }
 
+    const employee = getEmployeeByName(data['EMPLOYEE NAME']);
+    if (!employee) {
+      return { success: false, errors: ['Employee not found.'] };
+    }
+    const history = getLeaveHistory(data['EMPLOYEE NAME']);
+    const overlapping = findOverlappingLeave(history, data['STARTDATE.LEAVE'], data['RETURNDATE.LEAVE']);
+    if (overlapping) {
+      return { success: false, errors: [`Overlaps ${overlapping.STATUS || 'recorded'} ${overlapping.REASON} from ` +
+          `${formatDate(overlapping['STARTDATE.LEAVE'])} to ${formatDate(overlapping['RETURNDATE.LEAVE'])}.`] };
+    }
+
     const sheet = getSheet('LEAVE');
     if (!sheet) {
       return { success: false, message: 'Leave sheet not found.' };
     }
     
     const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    // The return date is the first day back at work, so it is not counted
+    const totalDays = countWorkingDays(employee, new Date(data['STARTDATE.LEAVE']), new Date(data['RETURNDATE.LEAVE']));
+    if (totalDays === 0) {
+      return { success: false, errors: ['The leave period has no working days.'] };
+    }
+    
+    const isAWOL = data['REASON'] === 'AWOL';
+    const approver = getLeaveApprover(employee);
+    if (isAWOL && !canDecideLeave({ 'APPROVER': approver }, getCurrentUser())) {
+      return { success: false, errors: ['Only the employee\'s leave approver or a leave administrator can record AWOL.'] };
+    }
     
+    const leaveId = generateUUID();
+    const needsCertificate = data['REASON'] === 'Sick Leave' &&
+        needsMedicalCertificate(history, new Date(data['STARTDATE.LEAVE']), totalDays);
     const newRow = headers.map(header => {
       switch(header) {
+        case 'LEAVEID':
+          return leaveId;
         case 'TIMESTAMP':
           return new Date();
         case 'USER':
           return getCurrentUser();
         case 'TOTALDAYS.LEAVE':
-            const startDate = new Date(data['STARTDATE.LEAVE']);
-            const returnDate = new Date(data['RETURNDATE.LEAVE']);
-            const diffTime = Math.abs(returnDate - startDate);
-            return Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1; 
+          return totalDays;
+        case 'STATUS':
+          return isAWOL ? 'Approved' : 'Pending';
+        case 'APPROVER':
+          return approver;
+        case 'DECISIONBY':
+          return isAWOL ? getCurrentUser() : null;
+        case 'DECISIONDATE':
+          return isAWOL ? new Date() : null;
+        case 'MEDICALCERTIFICATE':
+          if (!needsCertificate) return data['MEDICALCERTIFICATE'] || null;
+          return data['MEDICALCERTIFICATE'] === 'Received' ? 'Received' : 'Required';
         default:
           return data[header] || null;
       }
     });
 
     sheet.appendRow(newRow);
-    return { success: true, message: 'Leave record added successfully.' };
+    if (!isAWOL) {
+      const record = {};
+      headers.forEach((header, i) => record[header] = newRow[i]);
+      notifyLeaveApprover(record);
+    }
+    return {
+      success: true,
+      message: isAWOL ? 'AWOL recorded.' : 'Leave request submitted for approval.' +
+          (needsCertificate && data['MEDICALCERTIFICATE'] !== 'Received' ? ' A medical certificate is required before it can be approved.' : ''),
+      leaveId: leaveId
+    };
   } catch (e) {
     Logger.log('ERROR: ' + e.message);
     Logger.log('Stack trace: ' + e.stack);
@@ -49,27 +98,36 @@ function addLeave(data) {
 /**
  * Retrieves the leave history for a specific employee.
  * @param {string} employeeName The name of the employee.
+ * @param {Array<object>} records Optional leave records to pick from, read
+ *     with getLeaveRecords if omitted.
+ * @return {Array<object>} A list of leave records.
+ */
+function getLeaveHistory(employeeName, records) {
+  return (records || getLeaveRecords()).filter(rec => rec['EMPLOYEE NAME'] === employeeName);
+}
+
+/**
+ * Reads every leave record from the LEAVE sheet.
  * @return {Array<object>} A list of leave records.
  */
-function getLeaveHistory(employeeName) {
+function getLeaveRecords() {
   const sheet = getSheet('LEAVE');
   const data = sheet.getDataRange().getValues();
   const headers = data.shift();
-  const nameCol = headers.indexOf('EMPLOYEE NAME');
   
-  const records = data.map(row => {
+  return data.map(row => {
     const record = {};
     headers.forEach((header, i) => record[header] = row[i]);
     return record;
   });
-
-  return records.filter(rec => rec['EMPLOYEE NAME'] === employeeName);
 }
 
 /**
  * Lists all leave records, with optional filters.
- * @param {object} filters The filters to apply.
- * @return {Array<object>} A list of leave records.
+ * @param {object} filters The filters to apply: `status`, `reason`,
+ *     `employeeName` (part of the name), `approver`, and a `startDate` and
+ *     `endDate` the leave must overlap.
+ * @return {Array<object>} A list of leave records, dates as yyyy-MM-dd.
  */
 function listLeave(filters = {}) {
   const sheet = getSheet('LEAVE');
@@ -78,17 +136,632 @@ function listLeave(filters = {}) {
   
   const records = data.map(row => {
     const record = {};
-    headers.forEach((header, i) => record[header] = row[i]);
+    // Dates can't be returned through google.script.run
+    headers.forEach((header, i) => record[header] = row[i] instanceof Date ? formatDate(row[i]) : row[i]);
     return record;
   });
 
+  const search = filters.employeeName ? String(filters.employeeName).trim().toLowerCase() : '';
+  const from = filters.startDate ? formatDate(filters.startDate) : null;
+  const to = filters.endDate ? formatDate(filters.endDate) : null;
   return records.filter(rec => {
       let keep = true;
-      // Add filtering logic here if needed
+      if (filters.status && getLeaveStatus(rec) !== filters.status) {
+        keep = false;
+      }
+      if (filters.reason && rec['REASON'] !== filters.reason) {
+        keep = false;
+      }
+      if (search && !String(rec['EMPLOYEE NAME'] || '').toLowerCase().includes(search)) {
+        keep = false;
+      }
+      if (filters.approver && rec['APPROVER'] !== filters.approver) {
+        keep = false;
+      }
+      // The return date is the first day back, so leave ending on `from` is outside the range
+      if (from && formatDate(rec['RETURNDATE.LEAVE'] || rec['STARTDATE.LEAVE']) <= from) {
+        keep = false;
+      }
+      if (to && formatDate(rec['STARTDATE.LEAVE']) > to) {
+        keep = false;
+      }
       return keep;
   });
 }
 
+/**
+ * Approves a pending leave request.
+ * @param {string} leaveId The LEAVEID of the request.
+ * @param {string} comments Optional comments from the approver.
+ * @return {object} A success or error message.
+ */
+function approveLeave(leaveId, comments) {
+  return decideLeave(leaveId, 'Approved', comments);
+}
+
+/**
+ * Rejects a pending leave request. A comment giving the reason is required.
+ * @param {string} leaveId The LEAVEID of the request.
+ * @param {string} comments The reason for rejecting it.
+ * @return {object} A success or error message.
+ */
+function rejectLeave(leaveId, comments) {
+  if (!comments || !String(comments).trim()) {
+    return { success: false, message: 'A reason for rejecting the leave is required.' };
+  }
+  return decideLeave(leaveId, 'Rejected', comments);
+}
+
+/**
+ * Cancels a pending or approved leave request.
+ * @param {string} leaveId The LEAVEID of the request.
+ * @param {string} comments Optional reason for cancelling.
+ * @return {object} A success or error message.
+ */
+function cancelLeave(leaveId, comments) {
+  return decideLeave(leaveId, 'Cancelled', comments);
+}
+
+/**
+ * Moves a leave request to a new status, recording who made the decision,
+ * when, and their comments. Only the request's approver or a leave
+ * administrator can approve or reject it, and never the person who submitted
+ * it. A request can also be cancelled by whoever submitted it.
+ * @param {string} leaveId The LEAVEID of the request.
+ * @param {string} toStatus Approved, Rejected or Cancelled.
+ * @param {string} comments The comments to record.
+ * @return {object} A success or error message.
+ */
+function decideLeave(leaveId, toStatus, comments) {
+  try {
+    const allowedFrom = {
+      'Approved': ['Pending'],
+      'Rejected': ['Pending'],
+      'Cancelled': ['Pending', 'Approved']
+    };
+    const sheet = getSheet('LEAVE');
+    if (!sheet) {
+      return { success: false, message: 'Leave sheet not found.' };
+    }
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    const idCol = headers.indexOf('LEAVEID');
+
+    for (let i = 0; i < data.length; i++) {
+      if (String(data[i][idCol]) !== String(leaveId)) continue;
+
+      const record = {};
+      headers.forEach((header, j) => record[header] = data[i][j]);
+      const status = getLeaveStatus(record);
+      if (allowedFrom[toStatus].indexOf(status) === -1) {
+        return { success: false, message: `Leave is ${status} and cannot be ${toStatus.toLowerCase()}.` };
+      }
+      const user = getCurrentUser();
+      if (toStatus !== 'Cancelled') {
+        if (isSameUser(record['USER'], user)) {
+          return { success: false, message: 'You cannot decide your own leave request.' };
+        }
+        if (!record['APPROVER'] && CONFIG.LEAVE_ADMINS.length === 0) {
+          return { success: false, message: 'No leave approver is configured for this employee. ' +
+              'Set one in CONFIG.LEAVE_APPROVERS or CONFIG.LEAVE_ADMINS.' };
+        }
+        if (!canDecideLeave(record, user)) {
+          return { success: false, message: `Only ${record['APPROVER'] || 'a leave administrator'} can decide this leave request.` };
+        }
+      } else if (!isSameUser(record['USER'], user) && !canDecideLeave(record, user)) {
+        return { success: false, message: 'Only the person who submitted this leave or its approver can cancel it.' };
+      }
+      if (toStatus === 'Approved' && record['MEDICALCERTIFICATE'] === 'Required') {
+        return { success: false, message: 'A medical certificate is required before this sick leave can be approved.' };
+      }
+      const payslip = status === 'Approved' ? findPayslipForLeave(leaveId) : null;
+      if (payslip) {
+        return { success: false, message: `Leave has been paid on payslip #${payslip.RECORDNUMBER}. Reverse the payslip first.` };
+      }
+
+      const updates = {
+        'STATUS': toStatus,
+        'DECISIONBY': user,
+        'DECISIONDATE': new Date(),
+        'DECISIONCOMMENTS': comments ? String(comments).trim() : null
+      };
+      const newRow = headers.map((header, j) => updates.hasOwnProperty(header) ? updates[header] : data[i][j]);
+      sheet.getRange(i + 2, 1, 1, headers.length).setValues([newRow]);
+      return { success: true, message: `Leave ${toStatus.toLowerCase()}.` };
+    }
+    return { success: false, message: 'Leave request not found.' };
+  } catch (e) {
+    Logger.log('ERROR in decideLeave: ' + e.message);
+    return { success: false, message: 'An error occurred while updating the leave request.' };
+  }
+}
+
+/**
+ * Checks whether sick leave needs a medical certificate under BCEA s23: it
+ * runs for more than CONFIG.ABSENTEEISM.MEDICAL_CERTIFICATE_AFTER_DAYS
+ * working days, or the employee has already been off sick on more than
+ * MEDICAL_CERTIFICATE_AFTER_OCCASIONS occasions in the
+ * MEDICAL_CERTIFICATE_OCCASION_WEEKS weeks before it starts.
+ * @param {Array<object>} history The employee's leave records.
+ * @param {Date} startDate The first day of the sick leave.
+ * @param {number} totalDays The working days of sick leave.
+ * @return {boolean} True if a medical certificate is needed.
+ */
+function needsMedicalCertificate(history, startDate, totalDays) {
+  const settings = CONFIG.ABSENTEEISM;
+  if (totalDays > settings.MEDICAL_CERTIFICATE_AFTER_DAYS) return true;
+
+  const start = formatDate(startDate);
+  const windowStart = formatDate(addDays(startDate, -7 * settings.MEDICAL_CERTIFICATE_OCCASION_WEEKS));
+  const occasions = history.filter(rec => {
+    const status = getLeaveStatus(rec);
+    if (rec['REASON'] !== 'Sick Leave' || status === 'Rejected' || status === 'Cancelled') return false;
+    const recStart = formatDate(rec['STARTDATE.LEAVE']);
+    return recStart >= windowStart && recStart < start;
+  }).length;
+  // This absence is one more occasion on top of those already recorded
+  return occasions + 1 > settings.MEDICAL_CERTIFICATE_AFTER_OCCASIONS;
+}
+
+/**
+ * Records that the medical certificate for a sick leave request has been
+ * received, so the request can be approved. Only sick leave waiting for a
+ * certificate can have one recorded.
+ * @param {string} leaveId The LEAVEID of the request.
+ * @return {object} A success or error message.
+ */
+function recordMedicalCertificate(leaveId) {
+  try {
+    const sheet = getSheet('LEAVE');
+    if (!sheet) {
+      return { success: false, message: 'Leave sheet not found.' };
+    }
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    const idCol = headers.indexOf('LEAVEID');
+    const reasonCol = headers.indexOf('REASON');
+    const certificateCol = headers.indexOf('MEDICALCERTIFICATE');
+    if (certificateCol === -1) {
+      return { success: false, message: 'LEAVE is missing the column: MEDICALCERTIFICATE' };
+    }
+
+    for (let i = 0; i < data.length; i++) {
+      if (String(data[i][idCol]) !== String(leaveId)) continue;
+      if (data[i][reasonCol] !== 'Sick Leave') {
+        return { success: false, message: 'Medical certificates are only recorded for sick leave.' };
+      }
+      if (data[i][certificateCol] !== 'Required') {
+        return { success: false, message: 'This sick leave is not waiting for a medical certificate.' };
+      }
+      sheet.getRange(i + 2, certificateCol + 1).setValue('Received');
+      return { success: true, message: 'Medical certificate recorded.' };
+    }
+    return { success: false, message: 'Leave request not found.' };
+  } catch (e) {
+    Logger.log('ERROR in recordMedicalCertificate: ' + e.message);
+    return { success: false, message: 'An error occurred while recording the medical certificate.' };
+  }
+}
+
+/**
+ * Summarises an employee's unplanned absence as at a date: AWOL and unplanned
+ * sick leave over each of CONFIG.ABSENTEEISM.WINDOWS_DAYS, their Bradford
+ * Factor, the thresholds they have reached and any sick leave still waiting
+ * for a medical certificate.
+ * @param {string} employeeName The name of the employee.
+ * @param {Date} asOfDate The last day of the rolling windows.
+ * @param {Array<object>} history Optional leave records for the employee.
+ * @return {object} The `windows` counts, `bradfordFactor`, `flags` and
+ *     `missingCertificates`.
+ */
+function getAbsenteeism(employeeName, asOfDate, history) {
+  const settings = CONFIG.ABSENTEEISM;
+  const dayAfter = addDays(asOfDate, 1);
+  history = history || getLeaveHistory(employeeName);
+
+  const absences = history.filter(rec => {
+    const status = getLeaveStatus(rec);
+    return status !== 'Rejected' && status !== 'Cancelled' && isUnplannedAbsence(rec) &&
+        new Date(rec['STARTDATE.LEAVE']) < dayAfter;
+  });
+  const count = days => {
+    const from = addDays(dayAfter, -days);
+    const totals = { days: days, awolDays: 0, awolSpells: 0, sickDays: 0, sickSpells: 0 };
+    absences.forEach(rec => {
+      if (new Date(rec['STARTDATE.LEAVE']) < from) return;
+      const kind = rec['REASON'] === 'AWOL' ? 'awol' : 'sick';
+      totals[kind + 'Days'] += parseFloat(rec['TOTALDAYS.LEAVE']) || 0;
+      totals[kind + 'Spells']++;
+    });
+    return totals;
+  };
+
+  const windows = settings.WINDOWS_DAYS.map(count);
+  const bradford = count(settings.BRADFORD_WINDOW_DAYS);
+  const spells = bradford.awolSpells + bradford.sickSpells;
+  const bradfordFactor = spells * spells * (bradford.awolDays + bradford.sickDays);
+
+  const flags = settings.THRESHOLDS.filter(threshold => {
+    if (threshold.MEASURE === 'bradfordFactor') return bradfordFactor >= threshold.LIMIT;
+    const window = windows.find(w => w.days === threshold.WINDOW_DAYS);
+    return window && window[threshold.MEASURE] >= threshold.LIMIT;
+  }).map(threshold => ({
+    measure: threshold.MEASURE,
+    windowDays: threshold.MEASURE === 'bradfordFactor' ? settings.BRADFORD_WINDOW_DAYS : threshold.WINDOW_DAYS,
+    limit: threshold.LIMIT,
+    action: threshold.ACTION
+  }));
+
+  const missingCertificates = history.filter(rec => rec['MEDICALCERTIFICATE'] === 'Required' &&
+      getLeaveStatus(rec) === 'Pending').map(rec => ({
+    leaveId: rec['LEAVEID'],
+    startDate: formatDate(rec['STARTDATE.LEAVE']),
+    days: parseFloat(rec['TOTALDAYS.LEAVE']) || 0
+  }));
+
+  return {
+    windows: windows,
+    bradfordFactor: bradfordFactor,
+    flags: flags,
+    missingCertificates: missingCertificates
+  };
+}
+
+/**
+ * Checks whether leave is an unplanned absence: AWOL, or sick leave that was
+ * only reported on or after its first day.
+ * @param {object} record The leave record.
+ * @return {boolean} True if the absence was unplanned.
+ */
+function isUnplannedAbsence(record) {
+  if (record['REASON'] === 'AWOL') return true;
+  if (record['REASON'] !== 'Sick Leave') return false;
+  return !record['TIMESTAMP'] || formatDate(record['TIMESTAMP']) >= formatDate(record['STARTDATE.LEAVE']);
+}
+
+/**
+ * Gets the approved leave an employee has in a pay week, in working days.
+ * Paid leave is only included if it has a LEAVEID to link to the payslip
+ * and has not already been paid on another payslip for the same week.
+ * @param {object} employee The employee record.
+ * @param {Date} weekEnding The week ending date.
+ * @param {number} excludeRecordNumber Optional payslip being recalculated,
+ *     whose links are ignored.
+ * @param {Array<object>} payslips Optional existing payslips, read from MASTERSALARY if omitted.
+ * @param {Array<object>} leaveRecords Optional leave records, read from LEAVE if omitted.
+ * @return {object} The `paidDays` and the `leaveIds` they come from, and the `unpaidDays`.
+ */
+function getLeaveForWeek(employee, weekEnding, excludeRecordNumber, payslips, leaveRecords) {
+  const end = addDays(weekEnding, 1);
+  const start = addDays(end, -7);
+  const week = formatDate(weekEnding);
+
+  const alreadyPaid = {};
+  (payslips || listPayslips()).forEach(p => {
+    if (p['EMPLOYEE NAME'] !== employee['EMPLOYEE NAME'] || !p.LEAVEIDS || formatDate(p.WEEKENDING) !== week) return;
+    if (excludeRecordNumber && p.RECORDNUMBER == excludeRecordNumber) return;
+    String(p.LEAVEIDS).split(',').forEach(id => alreadyPaid[id.trim()] = true);
+  });
+
+  const result = { paidDays: 0, unpaidDays: 0, leaveIds: [] };
+  getLeaveHistory(employee['EMPLOYEE NAME'], leaveRecords).forEach(rec => {
+    if (!isApprovedLeave(rec)) return;
+    const from = new Date(Math.max(start, new Date(rec['STARTDATE.LEAVE'])));
+    const to = new Date(Math.min(end, new Date(rec['RETURNDATE.LEAVE'] || addDays(rec['STARTDATE.LEAVE'], 1))));
+    const days = from < to ? countWorkingDays(employee, from, to) : 0;
+    if (!days) return;
+
+    if (CONFIG.LEAVE.PAID_REASONS.indexOf(rec['REASON']) === -1) {
+      result.unpaidDays += days;
+    } else if (rec['LEAVEID'] && !alreadyPaid[String(rec['LEAVEID'])]) {
+      result.paidDays += days;
+      result.leaveIds.push(String(rec['LEAVEID']));
+    }
+  });
+  return result;
+}
+
+/**
+ * Finds the payslip an approved leave request has been paid on.
+ * @param {string} leaveId The LEAVEID of the request.
+ * @return {object} The payslip, or null if the leave has not been paid.
+ */
+function findPayslipForLeave(leaveId) {
+  return listPayslips().find(p => p.LEAVEIDS &&
+      String(p.LEAVEIDS).split(',').some(id => id.trim() === String(leaveId))) || null;
+}
+
+/**
+ * Gets the approver for an employee's leave from CONFIG.LEAVE_APPROVERS.
+ * @param {object} employee The employee record.
+ * @return {string} The approver's email address, or an empty string if none is set.
+ */
+function getLeaveApprover(employee) {
+  const approvers = CONFIG.LEAVE_APPROVERS[employee.EMPLOYER];
+  if (!approvers) return '';
+  return approvers.DEPARTMENTS[employee['DEPARTMENT']] || approvers.DEFAULT || '';
+}
+
+/**
+ * Checks whether a user can approve or reject a leave request: its approver,
+ * or anyone in CONFIG.LEAVE_ADMINS.
+ * @param {object} record The leave record.
+ * @param {string} user The user's email address.
+ * @return {boolean} True if the user can decide the request.
+ */
+function canDecideLeave(record, user) {
+  return isSameUser(record['APPROVER'], user) || CONFIG.LEAVE_ADMINS.some(admin => isSameUser(admin, user));
+}
+
+/**
+ * Compares two email addresses, ignoring case and surrounding spaces.
+ * @param {string} a The first email address.
+ * @param {string} b The second email address.
+ * @return {boolean} True if both are set and the same.
+ */
+function isSameUser(a, b) {
+  if (!a || !b) return false;
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Emails a new leave request to its approver, or to the leave administrators
+ * when it has none. A failed email is logged and does not stop the request.
+ * @param {object} record The leave record.
+ */
+function notifyLeaveApprover(record) {
+  const recipients = record['APPROVER'] ? [record['APPROVER']] : CONFIG.LEAVE_ADMINS;
+  if (recipients.length === 0) return;
+  try {
+    MailApp.sendEmail(recipients.join(','),
+        `Leave request: ${record['EMPLOYEE NAME']} - ${record['REASON']}`,
+        `${record['EMPLOYEE NAME']} has requested ${record['REASON']} from ${formatDate(record['STARTDATE.LEAVE'])}, ` +
+        `returning ${formatDate(record['RETURNDATE.LEAVE'])} (${record['TOTALDAYS.LEAVE']} working day(s)).\n\n` +
+        `Submitted by ${record['USER']}. Approve or reject it on the Leave page.`);
+  } catch (e) {
+    Logger.log('ERROR notifying leave approver: ' + e.message);
+  }
+}
+
+/**
+ * Gets a leave record's status. Records from before leave needed approval
+ * have no status and count as approved.
+ * @param {object} record The leave record.
+ * @return {string} One of CONFIG.LEAVE_STATUSES.
+ */
+function getLeaveStatus(record) {
+  return record['STATUS'] || 'Approved';
+}
+
+/**
+ * Checks whether leave has been approved, so it counts as taken.
+ * @param {object} record The leave record.
+ * @return {boolean} True if the leave is approved.
+ */
+function isApprovedLeave(record) {
+  return getLeaveStatus(record) === 'Approved';
+}
+
+/**
+ * Finds a pending or approved leave record that overlaps a date range.
+ * @param {Array<object>} history The employee's leave records.
+ * @param {Date} startDate The first day of leave.
+ * @param {Date} returnDate The first day back at work.
+ * @return {object} The overlapping record, or null if there is none.
+ */
+function findOverlappingLeave(history, startDate, returnDate) {
+  const start = formatDate(startDate);
+  const end = formatDate(returnDate);
+  return history.find(rec => {
+    const status = getLeaveStatus(rec);
+    if (status === 'Rejected' || status === 'Cancelled') return false;
+    return formatDate(rec['STARTDATE.LEAVE']) < end && formatDate(rec['RETURNDATE.LEAVE'] || rec['STARTDATE.LEAVE']) > start;
+  }) || null;
+}
+
+/**
+ * Gets an employee's leave balances as at a date: annual, sick and family
+ * responsibility leave accrued under the BCEA, less leave taken.
+ * @param {string} employeeId The unique ID of the employee.
+ * @param {Date} asOfDate Optional date to calculate to, defaults to today.
+ * @return {object} Result with the `annual`, `sick` and `familyResponsibility`
+ *     balances in days, or an error.
+ */
+function getLeaveBalances(employeeId, asOfDate) {
+  try {
+    const employee = getEmployeeById(employeeId);
+    if (!employee) {
+      return { success: false, message: 'Employee not found.' };
+    }
+
+    const asOf = asOfDate ? new Date(asOfDate) : new Date();
+    const history = getLeaveHistory(employee['EMPLOYEE NAME']);
+    const payslips = listPayslips().filter(p => p['EMPLOYEE NAME'] === employee['EMPLOYEE NAME']);
+    return {
+      success: true,
+      employeeName: employee.REFNAME,
+      asOfDate: formatDate(asOf),
+      annual: getAnnualLeaveBalance(employee, asOf, history, payslips),
+      sick: getSickLeaveBalance(employee, asOf, history, payslips),
+      familyResponsibility: getFamilyResponsibilityLeaveBalance(employee, asOf, history)
+    };
+  } catch (e) {
+    Logger.log('ERROR in getLeaveBalances: ' + e.message);
+    return { success: false, message: 'An error occurred while calculating leave balances.' };
+  }
+}
+
+/**
+ * Works out the annual leave an employee has accrued and not taken as at a
+ * date: the untaken balance of the last completed leave cycle plus what has
+ * accrued in the current cycle, by CONFIG.LEAVE.ANNUAL_ACCRUAL.
+ * @param {object} employee The employee record.
+ * @param {Date} asOfDate The date to calculate to.
+ * @param {Array<object>} history Optional leave records for the employee.
+ * @param {Array<object>} payslips Optional payslips for the employee.
+ * @return {object} The `cycleStart`, `carriedOver`, `accrued`, `taken` and
+ *     `balance` in days.
+ */
+function getAnnualLeaveBalance(employee, asOfDate, history, payslips) {
+  const settings = CONFIG.LEAVE;
+  const asOf = new Date(asOfDate);
+  history = history || getLeaveHistory(employee['EMPLOYEE NAME']);
+  payslips = payslips || listPayslips().filter(p => p['EMPLOYEE NAME'] === employee['EMPLOYEE NAME']);
+
+  const started = getEmploymentStart(employee, asOf);
+  const cycleStart = getLeaveCycleStart(started, asOf, 12);
+  const previousStart = addMonths(cycleStart, -12);
+  const dayAfter = addDays(asOf, 1);
+
+  // Leave accrued between two dates, the end date excluded
+  const accrue = (from, to) => {
+    const entitlement = settings.ANNUAL_DAYS_PER_CYCLE;
+    if (settings.ANNUAL_ACCRUAL === 'Cycle') {
+      return Math.min(entitlement, entitlement * Math.round((to - from) / (1000 * 60 * 60 * 24)) / 365);
+    }
+    return Math.min(entitlement, getDaysWorked(payslips, from, to) / settings.ANNUAL_DAYS_WORKED_PER_DAY);
+  };
+
+  const carriedOver = cycleStart > started ?
+      Math.max(0, accrue(previousStart, cycleStart) - sumLeaveTaken(history, 'Annual Leave', previousStart, cycleStart)) : 0;
+  const accrued = accrue(cycleStart, dayAfter);
+  const taken = sumLeaveTaken(history, 'Annual Leave', cycleStart, dayAfter);
+  return {
+    cycleStart: formatDate(cycleStart),
+    carriedOver: roundDays(carriedOver),
+    accrued: roundDays(accrued),
+    taken: taken,
+    balance: Math.max(0, roundDays(carriedOver + accrued - taken))
+  };
+}
+
+/**
+ * Works out the sick leave left in the employee's current 36-month cycle.
+ * In the first months of employment only the days earned by days worked are
+ * available.
+ * @param {object} employee The employee record.
+ * @param {Date} asOfDate The date to calculate to.
+ * @param {Array<object>} history Optional leave records for the employee.
+ * @param {Array<object>} payslips Optional payslips for the employee.
+ * @return {object} The `cycleStart`, `cycleEnd`, `entitled`, `taken` and
+ *     `balance` in days.
+ */
+function getSickLeaveBalance(employee, asOfDate, history, payslips) {
+  const settings = CONFIG.LEAVE;
+  const asOf = new Date(asOfDate);
+  history = history || getLeaveHistory(employee['EMPLOYEE NAME']);
+  payslips = payslips || listPayslips().filter(p => p['EMPLOYEE NAME'] === employee['EMPLOYEE NAME']);
+
+  const started = getEmploymentStart(employee, asOf);
+  const cycleStart = getLeaveCycleStart(started, asOf, settings.SICK_CYCLE_MONTHS);
+  const dayAfter = addDays(asOf, 1);
+  const entitled = asOf < addMonths(started, settings.SICK_EARLY_MONTHS) ?
+      Math.floor(getDaysWorked(payslips, started, dayAfter) / settings.SICK_EARLY_DAYS_WORKED_PER_DAY) :
+      settings.SICK_DAYS_PER_CYCLE;
+  const taken = sumLeaveTaken(history, 'Sick Leave', cycleStart, dayAfter);
+  return {
+    cycleStart: formatDate(cycleStart),
+    cycleEnd: formatDate(addDays(addMonths(cycleStart, settings.SICK_CYCLE_MONTHS), -1)),
+    entitled: entitled,
+    taken: taken,
+    balance: Math.max(0, roundDays(entitled - taken))
+  };
+}
+
+/**
+ * Works out the family responsibility leave left in the employee's current
+ * annual cycle.
+ * @param {object} employee The employee record.
+ * @param {Date} asOfDate The date to calculate to.
+ * @param {Array<object>} history Optional leave records for the employee.
+ * @return {object} The `cycleStart`, `entitled`, `taken` and `balance` in days.
+ */
+function getFamilyResponsibilityLeaveBalance(employee, asOfDate, history) {
+  const settings = CONFIG.LEAVE;
+  const asOf = new Date(asOfDate);
+  history = history || getLeaveHistory(employee['EMPLOYEE NAME']);
+
+  const started = getEmploymentStart(employee, asOf);
+  const cycleStart = getLeaveCycleStart(started, asOf, 12);
+  const entitled = asOf >= addMonths(started, settings.FAMILY_RESPONSIBILITY_MIN_MONTHS) ?
+      settings.FAMILY_RESPONSIBILITY_DAYS : 0;
+  const taken = sumLeaveTaken(history, 'Family Responsibility Leave', cycleStart, addDays(asOf, 1));
+  return {
+    cycleStart: formatDate(cycleStart),
+    entitled: entitled,
+    taken: taken,
+    balance: Math.max(0, roundDays(entitled - taken))
+  };
+}
+
+/**
+ * Gets the employee's start date, or the given date if none is recorded.
+ * @param {object} employee The employee record.
+ * @param {Date} asOf The fallback date.
+ * @return {Date} The employment date.
+ */
+function getEmploymentStart(employee, asOf) {
+  return employee['EMPLOYMENT DATE'] ? new Date(employee['EMPLOYMENT DATE']) : new Date(asOf);
+}
+
+/**
+ * Finds the start of the leave cycle a date falls in, with cycles of a number
+ * of months counted from the employment date.
+ * @param {Date} started The employment date.
+ * @param {Date} asOf The date.
+ * @param {number} months The length of a cycle in months.
+ * @return {Date} The start of the cycle.
+ */
+function getLeaveCycleStart(started, asOf, months) {
+  let cycleStart = new Date(started);
+  for (let next = addMonths(started, months), n = 2; next <= asOf; next = addMonths(started, months * n++)) {
+    cycleStart = next;
+  }
+  return cycleStart;
+}
+
+/**
+ * Counts the days worked on payslips for weeks ending in a date range, from
+ * their ordinary hours.
+ * @param {Array<object>} payslips The employee's payslips.
+ * @param {Date} from The first date.
+ * @param {Date} to The date after the last date.
+ * @return {number} The days worked.
+ */
+function getDaysWorked(payslips, from, to) {
+  return payslips.reduce((total, p) => {
+    const weekEnding = new Date(p.WEEKENDING);
+    if (weekEnding < from || weekEnding >= to) return total;
+    const hours = (parseFloat(p.HOURS) || 0) + (parseFloat(p.MINUTES) || 0) / 60;
+    return total + hours / CONFIG.LEAVE.NORMAL_DAILY_HOURS;
+  }, 0);
+}
+
+/**
+ * Totals the days of one kind of approved leave starting in a date range.
+ * @param {Array<object>} history The employee's leave records.
+ * @param {string} reason The leave reason.
+ * @param {Date} from The first date.
+ * @param {Date} to The date after the last date.
+ * @return {number} The days taken.
+ */
+function sumLeaveTaken(history, reason, from, to) {
+  return history.reduce((total, rec) => {
+    const start = new Date(rec['STARTDATE.LEAVE']);
+    if (rec['REASON'] !== reason || !isApprovedLeave(rec) || start < from || start >= to) return total;
+    return total + (parseFloat(rec['TOTALDAYS.LEAVE']) || 0);
+  }, 0);
+}
+
+/**
+ * Rounds a number of days to two decimals.
+ * @param {number} days The days.
+ * @return {number} The rounded days.
+ */
+function roundDays(days) {
+  return Math.round(days * 100) / 100;
+}
+
 /**
  * Validates leave data.
  * @param {object} data The leave data to validate.
@@ -102,8 +775,8 @@ function validateLeave(data) {
   if (!data['REASON']) errors.push('Reason is required.');
 
   if (data['STARTDATE.LEAVE'] && data['RETURNDATE.LEAVE']) {
-      if (new Date(data['RETURNDATE.LEAVE']) < new Date(data['STARTDATE.LEAVE'])) {
-          errors.push('Return date cannot be before the start date.');
+      if (new Date(data['RETURNDATE.LEAVE']) <= new Date(data['STARTDATE.LEAVE'])) {
+          errors.push('Return date must be after the start date.');
       }
   }
   
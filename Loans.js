@@ -3,7 +3,9 @@
  */
 
 /**
- * Adds a new loan transaction.
+ * Adds a new loan transaction. A disbursement that fails the loan policy is
+ * refused unless `OverridePolicy` is set by a manager in
+ * CONFIG.LOANS.MANAGER_EMAILS, who is then recorded as approving the override.
  * @param {object} data The loan data from the form.
  * @return {object} A success or error message.
  */
@@ -18,7 +20,7 @@ function addLoanTransaction(data) {
     if (!employee) {
         return { success: false, message: 'Employee not found.' };
     }
-    const employeeId = employee.id;
+    const employeeId = employee.ID;
 
     recalculateLoanBalances(employeeId); // Ensure balances are correct before adding
     
@@ -32,6 +34,24 @@ function addLoanTransaction(data) {
     
     const amount = data.LoanType === 'Repayment' ? -Math.abs(data.LoanAmount) : Math.abs(data.LoanAmount);
     const balanceAfter = balanceBefore + amount;
+    const adminFee = data.LoanType === 'Disbursement' ? Math.abs(parseFloat(data.AdminFee) || 0) : 0;
+    const plan = buildRepaymentPlan(data, balanceAfter + adminFee);
+
+    if (data.LoanType === 'Repayment' && Math.abs(data.LoanAmount) > balanceBefore + 0.005) {
+      return { success: false, message: 'Repayment of ' + formatCurrency(Math.abs(data.LoanAmount)) +
+          ' exceeds the outstanding balance of ' + formatCurrency(balanceBefore) + '.' };
+    }
+
+    const policyErrors = data.LoanType === 'Repayment' ? [] : checkLoanPolicy(employee, data, balanceAfter + adminFee, plan);
+    const overrideBy = getCurrentUser();
+    if (policyErrors.length > 0) {
+      if (!data.OverridePolicy) {
+        return { success: false, errors: policyErrors, requiresOverride: isLoanManager(overrideBy) };
+      }
+      if (!isLoanManager(overrideBy)) {
+        return { success: false, message: 'Only a loan manager can override the loan policy.', errors: policyErrors };
+      }
+    }
 
     const newRow = headers.map(header => {
       switch(header) {
@@ -42,15 +62,41 @@ function addLoanTransaction(data) {
         case 'LoanAmount': return amount;
         case 'BalanceBefore': return balanceBefore;
         case 'BalanceAfter': return balanceAfter;
+        case 'InstalmentAmount': return plan ? plan.instalment : null;
+        case 'InstalmentWeeks': return plan ? plan.weeks : null;
+        case 'PlanStartWeek': return plan ? plan.startWeek : null;
+        case 'InterestRate': return data.LoanType === 'Disbursement' ? parseFloat(data.InterestRate) || null : null;
+        case 'OverrideApprovedBy': return policyErrors.length > 0 ? overrideBy : null;
+        case 'OverriddenChecks': return policyErrors.length > 0 ? policyErrors.join('; ') : null;
         default:
           return data[header] || null;
       }
     });
 
     sheet.appendRow(newRow);
+    if (adminFee > 0) {
+      sheet.appendRow(headers.map(header => {
+        switch(header) {
+          case 'LoanID': return generateUUID();
+          case 'Employee ID': return employeeId;
+          case 'Timestamp': return new Date();
+          case 'TransactionDate': return new Date(data.TransactionDate);
+          case 'LoanAmount': return adminFee;
+          case 'LoanType': return 'Admin Fee';
+          case 'Notes': return 'Admin fee on loan ' + newRow[headers.indexOf('LoanID')];
+          default:
+            return null;
+        }
+      }));
+    }
     recalculateLoanBalances(employeeId); // Recalculate again to ensure correct order
 
-    return { success: true, message: 'Loan transaction added successfully.' };
+    return {
+      success: true,
+      message: policyErrors.length > 0 ?
+          'Loan transaction added with override approved by ' + overrideBy + '.' :
+          'Loan transaction added successfully.'
+    };
   } catch (e) {
     Logger.log('ERROR: ' + e.message);
     Logger.log('Stack trace: ' + e.stack);
@@ -58,6 +104,166 @@ function addLoanTransaction(data) {
   }
 }
 
+/**
+ * Checks a new loan against the loan policy in CONFIG.LOANS: the employee's
+ * status and probation, the outstanding balance limit, and that the repayment
+ * instalment leaves enough take-home pay. Limits use the employee's
+ * `HOURLY RATE` and average hours and pay on their recent payslips.
+ * @param {object} employee The employee record.
+ * @param {object} data The loan data from the form.
+ * @param {number} balanceAfter The balance owed once the loan is disbursed.
+ * @param {object} plan The repayment plan from buildRepaymentPlan, if any.
+ * @return {Array<string>} The checks that failed; empty if the loan is allowed.
+ */
+function checkLoanPolicy(employee, data, balanceAfter, plan) {
+  const policy = CONFIG.LOANS;
+  const errors = [];
+
+  if (policy.INELIGIBLE_STATUSES.indexOf(employee['EMPLOYMENT STATUS']) !== -1) {
+    errors.push(employee['EMPLOYMENT STATUS'] + ' staff are not eligible for loans.');
+  }
+  if (employee['EMPLOYMENT DATE']) {
+    const probationEnds = new Date(employee['EMPLOYMENT DATE']);
+    probationEnds.setMonth(probationEnds.getMonth() + policy.PROBATION_MONTHS);
+    if (new Date(data.TransactionDate) < probationEnds) {
+      errors.push('Employee is on probation until ' + formatDate(probationEnds) + '.');
+    }
+  }
+
+  const recent = listPayslips().filter(p => p['EMPLOYEE NAME'] === employee['EMPLOYEE NAME'])
+                               .slice(0, policy.RECENT_PAYSLIPS);
+  if (recent.length === 0) {
+    errors.push('No payslips on record to assess affordability.');
+    return errors;
+  }
+
+  const average = field => recent.reduce((total, p) => total + (parseFloat(field(p)) || 0), 0) / recent.length;
+  const averageHours = average(p => (parseFloat(p.HOURS) || 0) + (parseFloat(p.MINUTES) || 0) / 60 +
+      (parseFloat(p.OVERTIMEHOURS) || 0) + (parseFloat(p.OVERTIMEMINUTES) || 0) / 60);
+  const weeklyEarnings = (parseFloat(employee['HOURLY RATE']) || 0) * averageHours;
+  const maxBalance = weeklyEarnings * policy.MAX_BALANCE_WEEKS_OF_EARNINGS;
+  if (balanceAfter > maxBalance) {
+    errors.push('Outstanding balance of ' + formatCurrency(balanceAfter) + ' would exceed the limit of ' +
+        formatCurrency(maxBalance) + ' (' + policy.MAX_BALANCE_WEEKS_OF_EARNINGS + ' weeks of earnings).');
+  }
+
+  if (plan) {
+    const averageGross = average(p => p.GROSSSALARY);
+    const otherDeductions = average(p => (parseFloat(p.TOTALDEDUCTIONS) || 0) - (parseFloat(p.LoanDeductionThisWeek) || 0));
+    const takeHome = averageGross - otherDeductions - plan.instalment;
+    const floor = averageGross * policy.MIN_TAKE_HOME_RATIO;
+    if (takeHome < floor) {
+      errors.push('Weekly instalment of ' + formatCurrency(plan.instalment) + ' would leave take-home pay of ' +
+          formatCurrency(takeHome) + ', below the minimum of ' + formatCurrency(floor) + '.');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Checks the new loan on a payslip (NewLoanThisWeek) against the loan policy.
+ * Only an increase on what the payslip already disbursed is checked.
+ * @param {object} employee The employee record.
+ * @param {object} payslip The payslip data.
+ * @param {number} previousAmount The amount already disbursed through this payslip.
+ * @return {Array<string>} The checks that failed; empty if the loan is allowed.
+ */
+function checkPayslipLoanPolicy(employee, payslip, previousAmount) {
+  const amount = Math.abs(parseFloat(payslip.NewLoanThisWeek) || 0);
+  previousAmount = previousAmount || 0;
+  if (amount <= previousAmount) return [];
+
+  const balanceAfter = getCurrentLoanBalance(employee.ID) - previousAmount + amount;
+  return checkLoanPolicy(employee, { TransactionDate: payslip.WEEKENDING }, balanceAfter, null);
+}
+
+/**
+ * Checks whether a user may override the loan policy.
+ * @param {string} email The user's email address.
+ * @return {boolean} True if the user is listed in CONFIG.LOANS.MANAGER_EMAILS.
+ */
+function isLoanManager(email) {
+  if (!email) return false;
+  const managers = CONFIG.LOANS.MANAGER_EMAILS.map(manager => String(manager).trim().toLowerCase());
+  return managers.indexOf(String(email).trim().toLowerCase()) !== -1;
+}
+
+/**
+ * Builds the repayment plan for a disbursement from either a fixed weekly
+ * `InstalmentAmount` or a number of `InstalmentWeeks` to repay the balance
+ * over, starting in the week of `PlanStartWeek` (or the transaction date).
+ * @param {object} data The loan data from the form.
+ * @param {number} balance The balance owed once the loan is disbursed.
+ * @return {object} The `instalment`, `weeks` and `startWeek`, or null if no plan was given.
+ */
+function buildRepaymentPlan(data, balance) {
+  if (data.LoanType === 'Repayment') return null;
+  const instalment = parseFloat(data.InstalmentAmount) || 0;
+  const weeks = parseInt(data.InstalmentWeeks, 10) || 0;
+  if (!instalment && !weeks) return null;
+
+  return {
+    instalment: instalment || Math.ceil(balance / weeks * 100) / 100,
+    weeks: instalment ? Math.ceil(balance / instalment) : weeks,
+    startWeek: getWeekEndingDate(data.PlanStartWeek || data.TransactionDate)
+  };
+}
+
+/**
+ * Gets the repayment plan that applies to an employee's loans in a week. The
+ * plan on the most recent disbursement that has one applies, so a top-up
+ * loan's plan replaces the earlier one. A reversed disbursement's plan no
+ * longer applies.
+ * @param {string} employeeId The unique ID of the employee.
+ * @param {Date} weekEnding The week ending date.
+ * @param {Array<object>} history Optional loan history, read with getLoanHistory if omitted.
+ * @return {object} The plan (`loanId`, `instalment`, `startWeek` and the
+ *     `principal` owed when it was agreed), or null if none has started.
+ */
+function getLoanRepaymentPlan(employeeId, weekEnding, history) {
+  const week = formatDate(weekEnding || new Date());
+  const plans = withoutReversedLoanTransactions(history || getLoanHistory(employeeId)).filter(t =>
+      t.LoanType === 'Disbursement' && parseFloat(t.InstalmentAmount) > 0 &&
+      t.PlanStartWeek && formatDate(t.PlanStartWeek) <= week);
+  if (plans.length === 0) return null;
+
+  const plan = plans[plans.length - 1];
+  return {
+    loanId: plan.LoanID,
+    instalment: parseFloat(plan.InstalmentAmount),
+    startWeek: new Date(plan.PlanStartWeek),
+    principal: parseFloat(plan.BalanceAfter) || 0
+  };
+}
+
+/**
+ * Gets the loan deduction due on an employee's payslip from their repayment
+ * plan, capped at the balance outstanding at the end of the week.
+ * @param {string} employeeId The unique ID of the employee.
+ * @param {Date} weekEnding The week ending date of the payslip.
+ * @param {string} excludeRecordNumber A payslip whose own loan transactions
+ *     are left out of the balance, e.g. the one being recalculated.
+ * @param {Array<object>} transactions Optional loan transactions for all
+ *     employees, read from EmployeeLoans if omitted.
+ * @return {number} The deduction, or 0 when there is no plan or nothing is owed.
+ */
+function getScheduledLoanDeduction(employeeId, weekEnding, excludeRecordNumber, transactions) {
+  if (!employeeId || !weekEnding) return 0;
+  const history = getLoanHistory(employeeId, transactions);
+  const plan = getLoanRepaymentPlan(employeeId, weekEnding, history);
+  if (!plan) return 0;
+
+  const week = formatDate(weekEnding);
+  const balance = history.filter(t =>
+      formatDate(t.TransactionDate) <= week &&
+      (!excludeRecordNumber || t.SalaryLink != excludeRecordNumber)
+  ).reduce((total, t) => total + (parseFloat(t.LoanAmount) || 0), 0);
+  if (balance <= 0) return 0;
+
+  return Math.round(Math.min(plan.instalment, balance) * 100) / 100;
+}
+
 /**
  * Gets the current loan balance for an employee.
  * @param {string} employeeId The unique ID of the employee.
@@ -72,35 +278,49 @@ function getCurrentLoanBalance(employeeId) {
 /**
  * Gets the loan history for an employee, sorted chronologically.
  * @param {string} employeeId The unique ID of the employee.
+ * @param {Array<object>} transactions Optional loan transactions for all
+ *     employees to pick from, read with getLoanTransactions if omitted.
  * @return {Array<object>} A sorted list of loan transactions.
  */
-function getLoanHistory(employeeId) {
+function getLoanHistory(employeeId, transactions) {
+  const history = (transactions || getLoanTransactions()).filter(t => t['Employee ID'] === employeeId);
+  
+  history.sort((a, b) => {
+    const dateA = new Date(a.TransactionDate).getTime();
+    const dateB = new Date(b.TransactionDate).getTime();
+    if (dateA !== dateB) return dateA - dateB;
+    return new Date(a.Timestamp).getTime() - new Date(b.Timestamp).getTime();
+  });
+  
+  return history;
+}
+
+/**
+ * Reads every transaction from the EmployeeLoans sheet.
+ * @return {Array<object>} A list of loan transactions in sheet order.
+ */
+function getLoanTransactions() {
   const sheet = getSheet('EmployeeLoans');
   if(!sheet) return [];
   const data = sheet.getDataRange().getValues();
   const headers = data.shift();
   if(!headers) return [];
-  const idCol = headers.indexOf('Employee ID');
   
-  const transactions = data.map(row => {
+  return data.map(row => {
     const transaction = {};
     headers.forEach((header, i) => transaction[header] = row[i]);
     return transaction;
-  }).filter(t => t['Employee ID'] === employeeId);
-  
-  transactions.sort((a, b) => {
-    const dateA = new Date(a.TransactionDate).getTime();
-    const dateB = new Date(b.TransactionDate).getTime();
-    if (dateA !== dateB) return dateA - dateB;
-    return new Date(a.Timestamp).getTime() - new Date(b.Timestamp).getTime();
   });
-  
-  return transactions;
 }
 
 
 /**
  * Recalculates all loan balances for a given employee to ensure integrity.
+ * Transactions are replayed in date order, which also sets the amount of a
+ * new Interest transaction to the interest accrued and not yet charged.
+ * Interest already charged is never changed: when a back-dated transaction
+ * changes the interest that should have been charged, the difference is
+ * posted as an adjusting Interest transaction on the latest interest date.
  * @param {string} employeeId The unique ID of the employee.
  */
 function recalculateLoanBalances(employeeId) {
@@ -112,49 +332,397 @@ function recalculateLoanBalances(employeeId) {
   if(!headers) return;
 
   const idCol = headers.indexOf('Employee ID');
-  const transactionDateCol = headers.indexOf('TransactionDate');
-  const timestampCol = headers.indexOf('Timestamp');
+  const employeeRows = allData.map((row, index) => {
+    const transaction = {};
+    headers.forEach((header, i) => transaction[header] = row[i]);
+    transaction.rowIndex = index + 2;
+    return transaction;
+  }).filter(t => t['Employee ID'] === employeeId);
+
+  const balanceBeforeCol = headers.indexOf('BalanceBefore');
+  const balanceAfterCol = headers.indexOf('BalanceAfter');
+  const loanAmountCol = headers.indexOf('LoanAmount');
+
+  let steps = replayLoanTransactions(employeeRows);
+  const lastInterest = steps.filter(step => step.transaction.LoanType === 'Interest').pop();
+  const adjustment = lastInterest ?
+      Math.round((lastInterest.interestAccrued - lastInterest.interestCharged) * 100) / 100 : 0;
+  if (Math.abs(adjustment) >= 0.01) {
+    const interestDate = new Date(lastInterest.transaction.TransactionDate);
+    const adjustmentRow = {
+      'LoanID': generateUUID(),
+      'Employee ID': employeeId,
+      'Timestamp': new Date(),
+      'TransactionDate': interestDate,
+      'LoanAmount': adjustment,
+      'LoanType': 'Interest',
+      'Notes': 'Interest adjustment to ' + formatDate(interestDate) + ' for back-dated transactions'
+    };
+    sheet.appendRow(headers.map(header => adjustmentRow.hasOwnProperty(header) ? adjustmentRow[header] : null));
+    adjustmentRow.rowIndex = sheet.getLastRow();
+    employeeRows.push(adjustmentRow);
+    steps = replayLoanTransactions(employeeRows);
+  }
+
+  steps.forEach(step => {
+    const rowIndex = step.transaction.rowIndex;
+    if (isUnchargedInterest(step.transaction)) {
+      sheet.getRange(rowIndex, loanAmountCol + 1).setValue(step.amount);
+    }
+    sheet.getRange(rowIndex, balanceBeforeCol + 1).setValue(step.balanceBefore);
+    sheet.getRange(rowIndex, balanceAfterCol + 1).setValue(step.balanceAfter);
+  });
+}
 
-  const employeeRows = allData.map((row, index) => ({ rowIndex: index + 2, rowData: row }))
-                             .filter(item => item.rowData[idCol] === employeeId);
+/**
+ * Checks whether an Interest transaction has yet to have its amount set.
+ * accrueLoanInterest leaves the amount blank for recalculateLoanBalances.
+ * @param {object} transaction The loan transaction.
+ * @return {boolean} True for an Interest transaction with no amount.
+ */
+function isUnchargedInterest(transaction) {
+  return transaction.LoanType === 'Interest' &&
+      (transaction.LoanAmount === '' || transaction.LoanAmount === null || transaction.LoanAmount === undefined);
+}
 
-  employeeRows.sort((a, b) => {
-    const dateA = new Date(a.rowData[transactionDateCol]).getTime();
-    const dateB = new Date(b.rowData[transactionDateCol]).getTime();
+/**
+ * Replays loan transactions in date order, splitting the amount owed into
+ * principal, interest and fees. Simple interest accrues daily on the
+ * principal at the rate of the most recent disbursement with an InterestRate.
+ * Interest transactions charge their recorded amount, or everything accrued
+ * and not yet charged when their amount is blank. Repayments settle
+ * interest, then fees, then principal. A reversal (a transaction with a
+ * ReversalOf) undoes exactly what the transaction it reverses did, so
+ * reversing a disbursement only takes off principal.
+ * @param {Array<object>} transactions One employee's loan transactions.
+ * @return {Array<object>} A step per transaction in date order, with the
+ *     `transaction`, its `amount`, `balanceBefore`, `balanceAfter`, the
+ *     `principal`, `interest` and `fees` owed after it, and the total
+ *     `interestAccrued` and `interestCharged` up to it.
+ */
+function replayLoanTransactions(transactions) {
+  const sorted = transactions.slice().sort((a, b) => {
+    const dateA = new Date(a.TransactionDate).getTime();
+    const dateB = new Date(b.TransactionDate).getTime();
     if (dateA !== dateB) return dateA - dateB;
-    return new Date(a.rowData[timestampCol]).getTime() - new Date(b.rowData[timestampCol]).getTime();
+    return new Date(a.Timestamp).getTime() - new Date(b.Timestamp).getTime();
   });
 
-  let currentBalance = 0;
-  const balanceBeforeCol = headers.indexOf('BalanceBefore');
-  const balanceAfterCol = headers.indexOf('BalanceAfter');
-  const loanAmountCol = headers.indexOf('LoanAmount');
+  const dayMs = 24 * 60 * 60 * 1000;
+  const owed = { principal: 0, interest: 0, fees: 0 };
+  let rate = 0;
+  let accrued = 0;
+  let charged = 0;
+  let lastDate = null;
+  // What each transaction did to the principal, interest and fees owed, by LoanID
+  const effects = {};
 
-  employeeRows.forEach(item => {
-    const loanAmount = parseFloat(item.rowData[loanAmountCol]);
-    sheet.getRange(item.rowIndex, balanceBeforeCol + 1).setValue(currentBalance);
-    currentBalance += loanAmount;
-    sheet.getRange(item.rowIndex, balanceAfterCol + 1).setValue(currentBalance);
+  return sorted.map(transaction => {
+    const date = new Date(transaction.TransactionDate);
+    if (lastDate && owed.principal > 0) {
+      accrued += owed.principal * rate * Math.max(0, (date - lastDate) / dayMs) / 365;
+    }
+    lastDate = date;
+
+    const balanceBefore = Math.round((owed.principal + owed.interest + owed.fees) * 100) / 100;
+    let amount = parseFloat(transaction.LoanAmount) || 0;
+    const before = { principal: owed.principal, interest: owed.interest, fees: owed.fees, charged: charged };
+    const reversed = transaction.ReversalOf ? effects[transaction.ReversalOf] : null;
+    if (reversed) {
+      owed.principal -= reversed.principal;
+      owed.interest -= reversed.interest;
+      owed.fees -= reversed.fees;
+      charged -= reversed.charged;
+    } else if (transaction.LoanType === 'Interest') {
+      if (isUnchargedInterest(transaction)) {
+        amount = Math.round((accrued - charged) * 100) / 100;
+      }
+      charged += amount;
+      owed.interest += amount;
+    } else if (transaction.LoanType === 'Admin Fee') {
+      owed.fees += amount;
+    } else if (amount < 0) {
+      // Repayments settle charges first
+      let payment = -amount;
+      ['interest', 'fees', 'principal'].forEach(part => {
+        const settled = part === 'principal' ? payment : Math.min(payment, Math.max(0, owed[part]));
+        owed[part] -= settled;
+        payment -= settled;
+      });
+    } else {
+      owed.principal += amount;
+      if (transaction.LoanType === 'Disbursement' && parseFloat(transaction.InterestRate) > 0) {
+        rate = parseFloat(transaction.InterestRate);
+      }
+    }
+    effects[transaction.LoanID] = {
+      principal: owed.principal - before.principal,
+      interest: owed.interest - before.interest,
+      fees: owed.fees - before.fees,
+      charged: charged - before.charged
+    };
+
+    return {
+      transaction: transaction,
+      amount: amount,
+      balanceBefore: balanceBefore,
+      balanceAfter: Math.round((owed.principal + owed.interest + owed.fees) * 100) / 100,
+      principal: Math.round(owed.principal * 100) / 100,
+      interest: Math.round(owed.interest * 100) / 100,
+      fees: Math.round(owed.fees * 100) / 100,
+      interestAccrued: Math.round(accrued * 100) / 100,
+      interestCharged: Math.round(charged * 100) / 100
+    };
   });
 }
 
+/**
+ * Gets what an employee owes on their loans, split into principal, interest
+ * and fees.
+ * @param {string} employeeId The unique ID of the employee.
+ * @param {Date} asOfDate Optional date to replay transactions up to; defaults to all.
+ * @return {object} The `principal`, `interest`, `fees` and `total` owed.
+ */
+function getLoanBalanceBreakdown(employeeId, asOfDate) {
+  const asOf = asOfDate ? formatDate(asOfDate) : null;
+  const transactions = getLoanHistory(employeeId).filter(t => !asOf || formatDate(t.TransactionDate) <= asOf);
+  const steps = replayLoanTransactions(transactions);
+  const last = steps.length > 0 ? steps[steps.length - 1] : { principal: 0, interest: 0, fees: 0, balanceAfter: 0 };
+  return { principal: last.principal, interest: last.interest, fees: last.fees, total: last.balanceAfter };
+}
+
+/**
+ * Charges the interest accrued on employees' loans up to a date by adding an
+ * Interest transaction for each employee who owes principal on a loan with an
+ * interest rate. Running it again for the same date adds nothing.
+ * @param {Date} asOfDate The date to accrue interest up to.
+ * @return {object} A success or error message with the number of employees charged.
+ */
+function accrueLoanInterest(asOfDate) {
+  try {
+    const sheet = getSheet('EmployeeLoans');
+    if (!sheet) {
+      return { success: false, message: 'Loans sheet not found.' };
+    }
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    if (!headers) {
+      return { success: false, message: 'Loans sheet has no headers.' };
+    }
+
+    const asOf = new Date(asOfDate);
+    const byEmployee = {};
+    data.forEach(row => {
+      const transaction = {};
+      headers.forEach((header, i) => transaction[header] = row[i]);
+      const employeeId = transaction['Employee ID'];
+      if (!employeeId || new Date(transaction.TransactionDate) > asOf) return;
+      (byEmployee[employeeId] = byEmployee[employeeId] || []).push(transaction);
+    });
+
+    const charged = Object.keys(byEmployee).map(key => byEmployee[key]).filter(transactions => {
+      const hasRate = transactions.some(t => t.LoanType === 'Disbursement' && parseFloat(t.InterestRate) > 0);
+      const alreadyCharged = transactions.some(t => t.LoanType === 'Interest' && formatDate(t.TransactionDate) === formatDate(asOf));
+      const steps = replayLoanTransactions(transactions);
+      return hasRate && !alreadyCharged && steps.length > 0 && steps[steps.length - 1].principal > 0;
+    }).map(transactions => transactions[0]['Employee ID']);
+
+    charged.forEach(employeeId => {
+      sheet.appendRow(headers.map(header => {
+        switch(header) {
+          case 'LoanID': return generateUUID();
+          case 'Employee ID': return employeeId;
+          case 'Timestamp': return new Date();
+          case 'TransactionDate': return asOf;
+          case 'LoanAmount': return null; // Set by recalculateLoanBalances
+          case 'LoanType': return 'Interest';
+          case 'Notes': return 'Interest to ' + formatDate(asOf);
+          default:
+            return null;
+        }
+      }));
+      recalculateLoanBalances(employeeId);
+    });
+
+    return { success: true, message: 'Interest charged for ' + charged.length + ' employee(s).', count: charged.length };
+  } catch (e) {
+    Logger.log('ERROR in accrueLoanInterest: ' + e.message);
+    return { success: false, message: 'An error occurred while accruing loan interest.' };
+  }
+}
+
+/**
+ * Settles an employee's outstanding loan when they leave. Up to the agreed
+ * share of the final payslip's gross pay is deducted from it, and the payslip
+ * is re-issued with the higher deduction. Whatever is left is either written
+ * off or transferred out for recovery from the former employee, with a
+ * reason. Only a loan manager in CONFIG.LOANS.MANAGER_EMAILS can settle a
+ * loan, and is recorded as the approver. Everything is recorded in
+ * EmployeeLoans so the balance ends at zero.
+ * @param {string} employeeId The unique ID of the employee.
+ * @param {object} options The settlement: `recordNumber` of the final payslip
+ *     (optional), `deductionRatio` the employee agreed to in writing
+ *     (defaults to CONFIG.LOANS.MAX_FINAL_DEDUCTION_RATIO), `remainderAction`
+ *     ("Write-off" or "Recovery Transfer") and `reason` for any remainder,
+ *     and the settlement `date` (defaults to the termination date).
+ * @return {object} Result with success status, message and the settlement `summary`.
+ */
+function settleLoanOnTermination(employeeId, options) {
+  try {
+    options = options || {};
+    const employee = getEmployeeById(employeeId);
+    if (!employee) {
+      return { success: false, message: 'Employee not found.' };
+    }
+
+    recalculateLoanBalances(employeeId);
+    const opening = getLoanBalanceBreakdown(employeeId);
+    const summary = {
+      employeeName: employee.REFNAME || employee['EMPLOYEE NAME'],
+      openingBalance: opening,
+      finalPayslipDeduction: 0,
+      finalPayslip: null,
+      remainder: 0,
+      remainderAction: null,
+      reason: null,
+      approvedBy: null,
+      closingBalance: opening.total
+    };
+    if (opening.total <= 0.005) {
+      return { success: true, message: 'No outstanding loan to settle.', summary: summary };
+    }
+
+    const approvedBy = getCurrentUser();
+    if (!isLoanManager(approvedBy)) {
+      return { success: false, message: 'Only a loan manager can settle a loan on termination.', summary: summary };
+    }
+    summary.approvedBy = approvedBy;
+
+    const deductionRatio = options.deductionRatio === undefined || options.deductionRatio === '' ?
+        CONFIG.LOANS.MAX_FINAL_DEDUCTION_RATIO : parseFloat(options.deductionRatio);
+    if (isNaN(deductionRatio) || deductionRatio < 0 || deductionRatio > 1) {
+      return { success: false, message: 'The agreed deduction must be a share of final pay between 0 and 1.' };
+    }
+
+    let deduction = 0;
+    let payslip = null;
+    if (options.recordNumber) {
+      payslip = getPayslip(options.recordNumber);
+      if (!payslip || payslip['EMPLOYEE NAME'] !== employee['EMPLOYEE NAME']) {
+        return { success: false, message: 'Final payslip #' + options.recordNumber + ' not found for this employee.' };
+      }
+      if (isPayslipReversed(payslip)) {
+        return { success: false, message: 'Final payslip #' + options.recordNumber + ' has been reversed.' };
+      }
+      const existing = parseFloat(payslip.LoanDeductionThisWeek) || 0;
+      const allowed = (parseFloat(payslip.GROSSSALARY) || 0) * deductionRatio - existing;
+      deduction = Math.min(opening.total, allowed, parseFloat(payslip.PaidToAccount) || 0);
+      deduction = Math.max(0, Math.floor(deduction * 100) / 100);
+    }
+
+    // Check the remainder can be dealt with before changing anything
+    const remainder = Math.round((opening.total - deduction) * 100) / 100;
+    const reason = options.reason ? String(options.reason).trim() : '';
+    if (remainder > 0.005) {
+      if (options.remainderAction !== 'Write-off' && options.remainderAction !== 'Recovery Transfer') {
+        return {
+          success: false,
+          message: formatCurrency(remainder) + ' cannot be recovered from the final pay. Choose to write it off or transfer it for recovery.',
+          summary: summary
+        };
+      }
+      if (!reason) {
+        return { success: false, message: 'A reason is required to ' +
+            (options.remainderAction === 'Write-off' ? 'write off' : 'transfer') + ' the remaining balance.' };
+      }
+    }
+
+    if (deduction > 0) {
+      const reissued = reversePayslip(options.recordNumber, 'Final loan settlement',
+          { LoanDeductionThisWeek: (parseFloat(payslip.LoanDeductionThisWeek) || 0) + deduction });
+      if (!reissued.success) {
+        return { success: false, message: 'Could not add the loan deduction to the final payslip: ' +
+            (reissued.message || reissued.errors.join(', ')) };
+      }
+      summary.finalPayslipDeduction = deduction;
+      summary.finalPayslip = reissued.recordNumber;
+    }
+
+    const balance = getLoanBalanceBreakdown(employeeId).total;
+    if (balance > 0.005) {
+      const sheet = getSheet('EmployeeLoans');
+      const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+      let date = new Date(options.date || employee['TERMINATION DATE'] || new Date());
+      if (payslip && new Date(payslip.WEEKENDING) > date) {
+        date = new Date(payslip.WEEKENDING); // Keep it after the final deduction
+      }
+      sheet.appendRow(headers.map(header => {
+        switch(header) {
+          case 'LoanID': return generateUUID();
+          case 'Employee ID': return employeeId;
+          case 'Timestamp': return new Date();
+          case 'TransactionDate': return date;
+          case 'LoanAmount': return -balance;
+          case 'LoanType': return options.remainderAction;
+          case 'ApprovedBy': return approvedBy;
+          case 'Notes': return reason + ' (approved by ' + approvedBy + ')';
+          default:
+            return null;
+        }
+      }));
+      recalculateLoanBalances(employeeId);
+      summary.remainder = balance;
+      summary.remainderAction = options.remainderAction;
+      summary.reason = reason;
+    }
+
+    summary.closingBalance = getLoanBalanceBreakdown(employeeId).total;
+    return {
+      success: true,
+      message: 'Loan settled: ' + formatCurrency(summary.finalPayslipDeduction) + ' deducted from final pay' +
+          (summary.remainder ? ', ' + formatCurrency(summary.remainder) + ' ' +
+              (summary.remainderAction === 'Write-off' ? 'written off' : 'transferred for recovery') : '') + '.',
+      summary: summary
+    };
+  } catch (e) {
+    Logger.log('ERROR in settleLoanOnTermination: ' + e.message);
+    return { success: false, message: 'An error occurred while settling the loan.' };
+  }
+}
+
+/**
+ * Gets the most a loan's admin fee can be under CONFIG.LOAN_CHARGES.
+ * @param {number} loanAmount The amount lent.
+ * @return {number} The maximum admin fee.
+ */
+function getMaxAdminFee(loanAmount) {
+  const charges = CONFIG.LOAN_CHARGES;
+  const fee = charges.ADMIN_FEE_BASE + Math.max(0, loanAmount - charges.ADMIN_FEE_THRESHOLD) * charges.ADMIN_FEE_RATE;
+  return Math.min(fee, charges.ADMIN_FEE_MAX);
+}
+
 /**
  * Finds a loan record by its SalaryLink.
  * @param {string} recordNumber The payslip record number.
- * @return {object} The loan record.
+ * @param {string} loanType Optional LoanType to match, as a payslip can link
+ *     both a Repayment and a Disbursement.
+ * @return {object} The loan record, with its sheet `rowNumber`.
  */
-function findLoanRecordBySalaryLink(recordNumber) {
+function findLoanRecordBySalaryLink(recordNumber, loanType) {
     const sheet = getSheet('EmployeeLoans');
     if(!sheet) return null;
     const data = sheet.getDataRange().getValues();
     const headers = data.shift();
     if(!headers) return null;
     const salaryLinkCol = headers.indexOf('SalaryLink');
+    const loanTypeCol = headers.indexOf('LoanType');
     
-    for(const row of data) {
-        if(row[salaryLinkCol] == recordNumber) {
+    for(let i = 0; i < data.length; i++) {
+        const row = data[i];
+        if(row[salaryLinkCol] == recordNumber && (!loanType || row[loanTypeCol] === loanType)) {
             const transaction = {};
-            headers.forEach((header, i) => transaction[header] = row[i]);
+            headers.forEach((header, idx) => transaction[header] = row[idx]);
+            transaction.rowNumber = i + 2;
             return transaction;
         }
     }
@@ -162,11 +730,212 @@ function findLoanRecordBySalaryLink(recordNumber) {
 }
 
 /**
- * Synchronizes loan data based on a payslip update.
+ * Reverses the loan transactions linked to a payslip by adding an opposite
+ * transaction for each, dated the same as the original so the balance nets
+ * off from that point. Used when a payslip is voided. A reversal links to the
+ * transaction it reverses through ReversalOf rather than SalaryLink, so it is
+ * never taken for the payslip's own transaction.
+ * @param {string} recordNumber The payslip record number.
+ * @param {string} reason The reason for the reversal, recorded in the notes.
+ * @return {object} Result with success status, message and the `count` of
+ *     transactions reversed.
+ */
+function reverseLoanTransactionsForPayslip(recordNumber, reason) {
+    const sheet = getSheet('EmployeeLoans');
+    if(!sheet) return { success: true, count: 0 };
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    if(!headers) return { success: true, count: 0 };
+    const salaryLinkCol = headers.indexOf('SalaryLink');
+    
+    const linked = data.filter(row => row[salaryLinkCol] == recordNumber);
+    if (linked.length === 0) return { success: true, count: 0 };
+    if (headers.indexOf('ReversalOf') === -1) {
+      return { success: false, message: 'EmployeeLoans is missing the column: ReversalOf' };
+    }
+    
+    const employeeIds = [];
+    const newRows = linked.map(row => {
+      const transaction = {};
+      headers.forEach((header, i) => transaction[header] = row[i]);
+      if (employeeIds.indexOf(transaction['Employee ID']) === -1) {
+        employeeIds.push(transaction['Employee ID']);
+      }
+      
+      return headers.map(header => {
+        switch(header) {
+          case 'LoanID': return generateUUID();
+          case 'Employee ID': return transaction['Employee ID'];
+          case 'Timestamp': return new Date();
+          case 'TransactionDate': return transaction.TransactionDate;
+          case 'LoanAmount': return -transaction.LoanAmount;
+          case 'LoanType': return transaction.LoanType === 'Repayment' ? 'Disbursement' : 'Repayment';
+          case 'DisbursementMode': return transaction.DisbursementMode;
+          case 'ReversalOf': return transaction.LoanID;
+          case 'Notes': return 'Reversal of payslip #' + recordNumber + (reason ? ': ' + reason : '');
+          default:
+            return null;
+        }
+      });
+    });
+    
+    sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, headers.length).setValues(newRows);
+    employeeIds.forEach(employeeId => recalculateLoanBalances(employeeId));
+    return { success: true, count: newRows.length };
+}
+
+/**
+ * Leaves out loan transactions that have been reversed, along with the
+ * reversals themselves, as each pair cancels out.
+ * @param {Array<object>} transactions Loan transactions.
+ * @return {Array<object>} The transactions still in effect.
+ */
+function withoutReversedLoanTransactions(transactions) {
+  const reversed = {};
+  transactions.forEach(t => {
+    if (t.ReversalOf) reversed[t.ReversalOf] = true;
+  });
+  return transactions.filter(t => !t.ReversalOf && !reversed[t.LoanID]);
+}
+
+/**
+ * Synchronizes loan data based on a payslip update. The payslip's
+ * LoanDeductionThisWeek and NewLoanThisWeek become a Repayment and a
+ * Disbursement linked through SalaryLink; each is created, updated or deleted
+ * to match the payslip, so running this again for the same payslip changes
+ * nothing. Reversed payslips are left alone, as reversePayslip has already
+ * offset their transactions. The disbursement is always posted, as the
+ * payslip pays it out. validatePayslip stops a new loan that breaks the loan
+ * policy unless a loan manager enters it. If the policy still fails here, for
+ * example after an edit made straight on the sheet, the failed checks are
+ * recorded with the disbursement and a loan manager must approve it.
+ * OverrideApprovedBy is only filled in when the current user is a loan manager.
  * @param {string} recordNumber The payslip record number.
+ * @return {object} A success or error message.
  */
 function syncLoanForPayslip(recordNumber) {
-    // This is now fully implemented and will be called by the trigger.
+  try {
+    if (!recordNumber) {
+      return { success: false, message: 'Record number is required.' };
+    }
+    const sheet = getSheet('EmployeeLoans');
+    if (!sheet) {
+      return { success: false, message: 'Loans sheet not found.' };
+    }
+    
+    const payslip = getPayslip(recordNumber);
+    if (payslip && isPayslipReversed(payslip)) {
+      return { success: true, message: 'Payslip is reversed, loans left unchanged.' };
+    }
+    
+    let employee = null;
+    let employeeId = null;
+    if (payslip) {
+      employee = getEmployeeByName(payslip['EMPLOYEE NAME']);
+      if (!employee) {
+        return { success: false, message: 'Employee not found.' };
+      }
+      employeeId = employee.ID;
+    }
+    
+    // A deleted payslip leaves nothing to link, so its transactions are removed
+    const amounts = {
+      Repayment: payslip ? -Math.abs(parseFloat(payslip.LoanDeductionThisWeek) || 0) : 0,
+      Disbursement: payslip ? Math.abs(parseFloat(payslip.NewLoanThisWeek) || 0) : 0
+    };
+    
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const affected = employeeId ? [employeeId] : [];
+    const changes = [];
+    const user = getCurrentUser();
+    let policyErrors = [];
+    
+    Object.keys(amounts).forEach(loanType => {
+      const amount = amounts[loanType];
+      const existing = findLoanRecordBySalaryLink(recordNumber, loanType);
+      if (existing && affected.indexOf(existing['Employee ID']) === -1) {
+        affected.push(existing['Employee ID']);
+      }
+      
+      if (!amount) {
+        if (existing) {
+          sheet.deleteRow(existing.rowNumber);
+          changes.push(loanType + ' removed');
+        }
+        return;
+      }
+      
+      let override = null;
+      if (loanType === 'Disbursement') {
+        const errors = checkPayslipLoanPolicy(employee, payslip, existing ? existing.LoanAmount : 0);
+        if (errors.length > 0) {
+          override = { by: isLoanManager(user) ? user : null, checks: errors.join('; ') };
+          if (!override.by) policyErrors = errors;
+        }
+      }
+      
+      const transactionDate = new Date(payslip.WEEKENDING);
+      if (existing) {
+        if (existing.LoanAmount === amount && existing['Employee ID'] === employeeId &&
+            formatDate(existing.TransactionDate) === formatDate(transactionDate)) {
+          return;
+        }
+        const row = headers.map(header => {
+          switch(header) {
+            case 'Employee ID': return employeeId;
+            case 'TransactionDate': return transactionDate;
+            case 'LoanAmount': return amount;
+            case 'OverrideApprovedBy': return override ? override.by : existing[header];
+            case 'OverriddenChecks': return override ? override.checks : existing[header];
+            default:
+              return existing[header];
+          }
+        });
+        sheet.getRange(existing.rowNumber, 1, 1, headers.length).setValues([row]);
+        changes.push(loanType + ' updated');
+        return;
+      }
+      
+      sheet.appendRow(headers.map(header => {
+        switch(header) {
+          case 'LoanID': return generateUUID();
+          case 'Employee ID': return employeeId;
+          case 'Timestamp': return new Date();
+          case 'TransactionDate': return transactionDate;
+          case 'LoanAmount': return amount;
+          case 'LoanType': return loanType;
+          case 'SalaryLink': return recordNumber;
+          case 'DisbursementMode': return loanType === 'Disbursement' ? 'With Salary' : null;
+          case 'OverrideApprovedBy': return override ? override.by : null;
+          case 'OverriddenChecks': return override ? override.checks : null;
+          case 'Notes': return 'Payslip #' + recordNumber;
+          default:
+            return null;
+        }
+      }));
+      changes.push(loanType + ' added');
+    });
+    
+    if (changes.length > 0) {
+      affected.forEach(id => recalculateLoanBalances(id));
+    }
+    if (policyErrors.length > 0) {
+      Logger.log('New loan on payslip #' + recordNumber + ' posted without approval: ' + policyErrors.join(' '));
+      return {
+        success: false,
+        message: 'The new loan on payslip #' + recordNumber + ' breaks the loan policy. It was posted as it ' +
+            'is paid with the salary, but a loan manager must approve it.',
+        errors: policyErrors
+      };
+    }
+    return {
+      success: true,
+      message: changes.length > 0 ? changes.join(', ') + '.' : 'Loans already up to date.'
+    };
+  } catch (e) {
+    Logger.log('ERROR in syncLoanForPayslip: ' + e.message);
+    return { success: false, message: 'An error occurred while syncing loans for the payslip.' };
+  }
 }
 
 /**
@@ -179,6 +948,28 @@ function validateLoan(data) {
   if (!data['Employee Name']) errors.push('Employee name is required.');
   if (!data.LoanAmount || data.LoanAmount <= 0) errors.push('Loan amount must be a positive number.');
   if (!data.TransactionDate) errors.push('Transaction date is required.');
+  if (parseFloat(data.InstalmentAmount) < 0) errors.push('Instalment amount cannot be negative.');
+  if (parseInt(data.InstalmentWeeks, 10) < 0) errors.push('Number of instalment weeks cannot be negative.');
+  if (data.LoanType === 'Repayment' && (data.InstalmentAmount || data.InstalmentWeeks)) {
+    errors.push('A repayment plan can only be set up on a disbursement.');
+  }
+  if (data.LoanType && CONFIG.LOAN_TYPES.indexOf(data.LoanType) === -1) {
+    errors.push('Loan type must be one of: ' + CONFIG.LOAN_TYPES.join(', ') + '.');
+  }
+  if (data.LoanType === 'Interest') {
+    errors.push('Interest is added automatically when it accrues.');
+  }
+  if (data.LoanType === 'Write-off' || data.LoanType === 'Recovery Transfer') {
+    errors.push(data.LoanType + ' transactions are recorded by the final settlement on termination.');
+  }
+  const interestRate = parseFloat(data.InterestRate) || 0;
+  if (interestRate < 0 || interestRate > CONFIG.LOAN_CHARGES.MAX_ANNUAL_INTEREST_RATE) {
+    errors.push('Interest rate must be between 0% and ' + (CONFIG.LOAN_CHARGES.MAX_ANNUAL_INTEREST_RATE * 100) + '% a year.');
+  }
+  const adminFee = parseFloat(data.AdminFee) || 0;
+  if (adminFee < 0 || adminFee > getMaxAdminFee(parseFloat(data.LoanAmount) || 0) + 0.005) {
+    errors.push('Admin fee cannot exceed ' + formatCurrency(getMaxAdminFee(parseFloat(data.LoanAmount) || 0)) + ' for this loan amount.');
+  }
   
   return { isValid: errors.length === 0, errors: errors };
 }
@@ -25,20 +25,11 @@ function createPayslip(data) {
     }
     
     var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-    var lastRecordNumber = sheet.getRange(sheet.getLastRow(), 1).getValue() || 7915;
-
-    var newRow = headers.map(function(header) {
-        return calculatedData[header] || data[header] || null;
-    });
-    
-    // Manually set fields not in calculatedData
+    var newRow = buildPayslipRow(headers, calculatedData, data, getLastRecordNumber(sheet) + 1);
     var recordNumberIndex = headers.indexOf('RECORDNUMBER');
-    newRow[recordNumberIndex] = lastRecordNumber + 1;
-    newRow[headers.indexOf('TIMESTAMP')] = new Date();
-    newRow[headers.indexOf('USER')] = getCurrentUser();
-
 
     sheet.appendRow(newRow);
+    syncLoanForPayslip(newRow[recordNumberIndex]);
     return { success: true, message: 'Payslip created successfully.', recordNumber: newRow[recordNumberIndex] };
   } catch (e) {
     Logger.log('ERROR in createPayslip: ' + e.message);
@@ -47,8 +38,112 @@ function createPayslip(data) {
 }
 
 /**
- * Lists all payslips, with optional filters.
- * @param {object} filters The filters to apply.
+ * Creates payslips for several records with a single write to MASTERSALARY.
+ * Each record is validated and calculated independently, so one bad record
+ * does not stop the rest.
+ * @param {Array<object>} records The payslip data for each record.
+ * @return {object} Result with success status and per-record `results` in the
+ *     same order as `records` ({success, recordNumber} or {success, message}).
+ */
+function createPayslips(records) {
+  try {
+    var sheet = getSheet('MASTERSALARY');
+    if (!sheet) {
+      return { success: false, message: 'Salary sheet not found. Please check sheet configuration.' };
+    }
+    
+    var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    var nextRecordNumber = getLastRecordNumber(sheet) + 1;
+    // Read once for the whole batch rather than once per payslip
+    var context = { employees: {}, payslips: listPayslips(), leave: getLeaveRecords(), loans: getLoanTransactions() };
+    listEmployees().forEach(function(employee) {
+      context.employees[employee['EMPLOYEE NAME']] = employee;
+    });
+    
+    var newRows = [];
+    var results = records.map(function(data) {
+      var validation = validatePayslip(data, context.employees[data['EMPLOYEE NAME']]);
+      if (!validation.isValid) {
+        return { success: false, message: validation.errors.join(', ') };
+      }
+      try {
+        var calculatedData = calculatePayslip(data, {
+          employee: context.employees[data['EMPLOYEE NAME']],
+          payslips: context.payslips,
+          leave: context.leave,
+          loans: context.loans
+        });
+        var newRow = buildPayslipRow(headers, calculatedData, data, nextRecordNumber++);
+        newRows.push(newRow);
+        
+        // Later records for the same employee see this payslip's hours
+        var added = {};
+        headers.forEach(function(header, i) {
+          added[header] = newRow[i];
+        });
+        context.payslips.push(added);
+        return { success: true, recordNumber: added.RECORDNUMBER };
+      } catch (e) {
+        return { success: false, message: e.message };
+      }
+    });
+    
+    if (newRows.length > 0) {
+      sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, headers.length).setValues(newRows);
+    }
+    
+    // Only payslips with loan amounts have anything to add to EmployeeLoans
+    var recordCol = headers.indexOf('RECORDNUMBER');
+    var deductionCol = headers.indexOf('LoanDeductionThisWeek');
+    var newLoanCol = headers.indexOf('NewLoanThisWeek');
+    newRows.forEach(function(row) {
+      if (row[deductionCol] || row[newLoanCol]) {
+        syncLoanForPayslip(row[recordCol]);
+      }
+    });
+    
+    return { success: true, message: newRows.length + ' payslip(s) created.', results: results };
+  } catch (e) {
+    Logger.log('ERROR in createPayslips: ' + e.message);
+    return { success: false, message: 'An error occurred while creating the payslips.' };
+  }
+}
+
+/**
+ * Builds a MASTERSALARY row from calculated payslip data.
+ * @param {Array<string>} headers The MASTERSALARY headers.
+ * @param {object} calculatedData The result of calculatePayslip.
+ * @param {object} data The original payslip data.
+ * @param {number} recordNumber The record number to assign.
+ * @return {Array} The row values.
+ */
+function buildPayslipRow(headers, calculatedData, data, recordNumber) {
+  // A calculated 0 is a real amount, so only fall back when nothing was calculated
+  var newRow = headers.map(function(header) {
+      var value = header in calculatedData ? calculatedData[header] : data[header];
+      return value === undefined ? null : value;
+  });
+  
+  // Manually set fields not in calculatedData
+  newRow[headers.indexOf('RECORDNUMBER')] = recordNumber;
+  newRow[headers.indexOf('TIMESTAMP')] = new Date();
+  newRow[headers.indexOf('USER')] = getCurrentUser();
+  return newRow;
+}
+
+/**
+ * Gets the record number of the last payslip in MASTERSALARY.
+ * @param {Sheet} sheet The MASTERSALARY sheet.
+ * @return {number} The last record number.
+ */
+function getLastRecordNumber(sheet) {
+  return sheet.getRange(sheet.getLastRow(), 1).getValue() || 7915;
+}
+
+/**
+ * Lists all payslips, with optional filters. Reversed payslips are left out
+ * unless `includeReversed` is set.
+ * @param {object} filters The filters to apply: `weekEnding` and `includeReversed`.
  * @return {Array<object>} A list of payslips.
  */
 function listPayslips(filters) {
@@ -72,20 +167,158 @@ function listPayslips(filters) {
       if(filters.weekEnding && formatDate(rec.WEEKENDING) !== formatDate(new Date(filters.weekEnding))) {
           keep = false;
       }
+      if(!filters.includeReversed && isPayslipReversed(rec)) {
+          keep = false;
+      }
       return keep;
   }).sort(function(a,b) {
     return b.RECORDNUMBER - a.RECORDNUMBER;
   });
 }
 
+/**
+ * Checks whether a payslip has been voided by reversePayslip.
+ * @param {object} payslip The payslip record.
+ * @return {boolean} True if the payslip is reversed.
+ */
+function isPayslipReversed(payslip) {
+  return payslip.STATUS === 'Reversed';
+}
+
+/**
+ * Voids a payslip and, unless only a void is wanted, issues a correcting
+ * payslip in its place. The original row stays in MASTERSALARY marked as
+ * reversed, and any loan transactions linked to it are reversed. The
+ * correcting payslip starts from the original data with the corrections
+ * applied, links back to the original through REVERSALOF and gets a new PDF.
+ * @param {string} recordNumber The record number of the payslip to void.
+ * @param {string} reason The reason for the reversal (required).
+ * @param {object} corrections Optional corrected payslip fields, e.g. HOURS.
+ *     Omit to void the payslip without re-issuing it.
+ * @return {object} Result with success status and message, plus the
+ *     correcting payslip's `recordNumber` and `fileLink` when one was issued.
+ */
+function reversePayslip(recordNumber, reason, corrections) {
+  try {
+    reason = reason ? String(reason).trim() : '';
+    if (!reason) {
+      return { success: false, message: 'A reason for the reversal is required.' };
+    }
+    
+    var sheet = getSheet('MASTERSALARY');
+    if (!sheet) {
+      return { success: false, message: 'Salary sheet not found. Please check sheet configuration.' };
+    }
+    
+    var data = sheet.getDataRange().getValues();
+    var headers = data.shift();
+    var missing = ['STATUS', 'REVERSALOF', 'CORRECTEDBY', 'REVERSALREASON'].filter(function(header) {
+      return headers.indexOf(header) === -1;
+    });
+    if (missing.length > 0) {
+      return { success: false, message: 'MASTERSALARY is missing the column(s): ' + missing.join(', ') };
+    }
+    
+    var recordCol = headers.indexOf('RECORDNUMBER');
+    var rowIndex = -1;
+    for (var i = 0; i < data.length; i++) {
+      if (data[i][recordCol] == recordNumber) {
+        rowIndex = i;
+        break;
+      }
+    }
+    if (rowIndex === -1) {
+      return { success: false, message: 'Payslip #' + recordNumber + ' not found.' };
+    }
+    
+    var original = {};
+    headers.forEach(function(header, idx) {
+      original[header] = data[rowIndex][idx];
+    });
+    if (isPayslipReversed(original)) {
+      return { success: false, message: 'Payslip #' + recordNumber + ' has already been reversed.' };
+    }
+    
+    var newRecordNumber = null;
+    var newRow = null;
+    if (corrections) {
+      var corrected = {};
+      for (var key in original) {
+        corrected[key] = original[key];
+      }
+      for (var field in corrections) {
+        corrected[field] = corrections[field];
+      }
+      corrected.FILELINK = null;
+      corrected.STATUS = null;
+      corrected.CORRECTEDBY = null;
+      corrected.REVERSALREASON = null;
+      corrected.REVERSALOF = original.RECORDNUMBER;
+      // Leaves the original out of the month's hours when recalculating
+      corrected.RECORDNUMBER = original.RECORDNUMBER;
+      
+      var validation = validatePayslip(corrected);
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+      
+      // Calculated while the original's loan transactions are still in place,
+      // as the scheduled loan deduction leaves them out by SalaryLink
+      newRow = buildPayslipRow(headers, calculatePayslip(corrected), corrected, getLastRecordNumber(sheet) + 1);
+      newRecordNumber = newRow[recordCol];
+    }
+    
+    // Nothing is written to MASTERSALARY unless the loans could be reversed
+    var loans = reverseLoanTransactionsForPayslip(original.RECORDNUMBER, reason);
+    if (!loans.success) {
+      return { success: false, message: loans.message };
+    }
+    if (newRow) {
+      sheet.appendRow(newRow);
+    }
+    
+    sheet.getRange(rowIndex + 2, headers.indexOf('STATUS') + 1).setValue('Reversed');
+    sheet.getRange(rowIndex + 2, headers.indexOf('CORRECTEDBY') + 1).setValue(newRecordNumber);
+    sheet.getRange(rowIndex + 2, headers.indexOf('REVERSALREASON') + 1).setValue(reason);
+    
+    var message = 'Payslip #' + recordNumber + ' reversed' +
+        (loans.count > 0 ? ' with ' + loans.count + ' loan transaction(s)' : '') + '.';
+    if (!newRecordNumber) {
+      return { success: true, message: message };
+    }
+    
+    syncLoanForPayslip(newRecordNumber);
+    var fileLink = null;
+    try {
+      fileLink = generatePayslipPDF(newRecordNumber);
+    } catch (e) {
+      Logger.log('ERROR generating PDF for payslip #' + newRecordNumber + ': ' + e.message);
+    }
+    
+    return {
+      success: true,
+      message: message + ' Correcting payslip #' + newRecordNumber + ' created' +
+          (fileLink ? '.' : ', but its PDF could not be generated.'),
+      recordNumber: newRecordNumber,
+      fileLink: fileLink
+    };
+  } catch (e) {
+    Logger.log('ERROR in reversePayslip: ' + e.message);
+    return { success: false, message: 'An error occurred while reversing the payslip.' };
+  }
+}
 
 /**
  * Calculates all the fields for a payslip.
  * @param {object} data The payslip data.
+ * @param {object} context Optional preloaded data for batch processing:
+ *     the `employee` record, existing `payslips`, all `leave` records and
+ *     all `loans` transactions.
  * @return {object} The calculated payslip data.
  */
-function calculatePayslip(data) {
-    var employee = getEmployeeByName(data['EMPLOYEE NAME']);
+function calculatePayslip(data, context) {
+    context = context || {};
+    var employee = context.employee || getEmployeeByName(data['EMPLOYEE NAME']);
     if (!employee) {
       throw new Error('Employee not found: ' + data['EMPLOYEE NAME']);
     }
@@ -96,19 +329,34 @@ function calculatePayslip(data) {
     var minutes = parseFloat(data.MINUTES) || 0;
     var overtimeHours = parseFloat(data.OVERTIMEHOURS) || 0;
     var overtimeMinutes = parseFloat(data.OVERTIMEMINUTES) || 0;
-    var leavePay = parseFloat(data['LEAVE PAY']) || 0;
+    // Without an explicit amount, approved paid leave in the week is paid at normal daily hours
+    var leave = getLeaveForWeek(employee, data.WEEKENDING, data.RECORDNUMBER, context.payslips, context.leave);
+    var autoLeavePay = data['LEAVE PAY'] === undefined || data['LEAVE PAY'] === null || data['LEAVE PAY'] === '';
+    var leavePay = autoLeavePay ?
+        leave.paidDays * CONFIG.LEAVE.NORMAL_DAILY_HOURS * hourlyRate :
+        parseFloat(data['LEAVE PAY']) || 0;
     var bonusPay = parseFloat(data['BONUS PAY']) || 0;
     var otherIncome = parseFloat(data['OTHERINCOME']) || 0;
     var otherDeductions = parseFloat(data['OTHER DEDUCTIONS']) || 0;
-    var loanDeduction = parseFloat(data.LoanDeductionThisWeek) || 0;
+    // Without an amount, public holidays are only paid from the calendar when
+    // CONFIG.PUBLIC_HOLIDAY_PAY_FROM_CALENDAR is on
+    var publicHolidayPay = (data['PUBLIC HOLIDAY PAY'] === undefined || data['PUBLIC HOLIDAY PAY'] === null || data['PUBLIC HOLIDAY PAY'] === '') ?
+        (CONFIG.PUBLIC_HOLIDAY_PAY_FROM_CALENDAR ? getPublicHolidayHours(employee, data.WEEKENDING) * hourlyRate : 0) :
+        parseFloat(data['PUBLIC HOLIDAY PAY']) || 0;
+    // Without an explicit deduction the loan's repayment plan decides it
+    var loanDeduction = (data.LoanDeductionThisWeek === undefined || data.LoanDeductionThisWeek === null || data.LoanDeductionThisWeek === '') ?
+        getScheduledLoanDeduction(employee.ID, data.WEEKENDING, data.RECORDNUMBER, context.loans) :
+        parseFloat(data.LoanDeductionThisWeek) || 0;
     var newLoan = parseFloat(data.NewLoanThisWeek) || 0;
 
     var standardTime = (hours * hourlyRate) + ((hourlyRate / 60) * minutes);
     var overtime = (overtimeHours * hourlyRate * 1.5) + ((hourlyRate / 60) * overtimeMinutes * 1.5);
-    var grossSalary = standardTime + overtime + leavePay + bonusPay + otherIncome;
-    var uif = (employee['EMPLOYMENT STATUS'] === "Permanent") ? (grossSalary * 0.01) : 0;
+    var grossSalary = standardTime + overtime + publicHolidayPay + leavePay + bonusPay + otherIncome;
+    var uifContribution = calculateUIF(grossSalary, employee, data, context.payslips);
+    var uif = uifContribution.employee;
+    var paye = calculatePAYE(grossSalary, employee, data.WEEKENDING);
     
-    var totalDeductions = uif + otherDeductions + loanDeduction;
+    var totalDeductions = uif + paye + otherDeductions + loanDeduction;
     var netSalary = grossSalary - totalDeductions;
     var paidToAccount = netSalary - loanDeduction + newLoan;
 
@@ -120,8 +368,19 @@ function calculatePayslip(data) {
     result.HOURLYRATE = hourlyRate;
     result.STANDARDTIME = standardTime;
     result.OVERTIME = overtime;
+    result['PUBLIC HOLIDAY PAY'] = publicHolidayPay;
+    result['LEAVE PAY'] = leavePay;
+    if (autoLeavePay) {
+      result.LEAVEIDS = leave.leaveIds.join(',');
+    }
+    // Days on leave are not expected to be worked, paid or not
+    result.EXPECTEDHOURS = Math.max(0, getExpectedWeeklyHours(employee, data.WEEKENDING) -
+        (leave.paidDays + leave.unpaidDays) * CONFIG.LEAVE.NORMAL_DAILY_HOURS);
     result.GROSSSALARY = grossSalary;
     result.UIF = uif;
+    result.EMPLOYERUIF = uifContribution.employer;
+    result.PAYE = paye;
+    result.LoanDeductionThisWeek = loanDeduction;
     result.TOTALDEDUCTIONS = totalDeductions;
     result.NETTSALARY = netSalary;
     result.PaidToAccount = paidToAccount;
@@ -129,6 +388,212 @@ function calculatePayslip(data) {
     return result;
 }
 
+/**
+ * Gets the ordinary hours an employee is expected to work in a pay week from
+ * their work pattern, leaving out public holidays.
+ * @param {object} employee The employee record.
+ * @param {Date} weekEnding The week ending date.
+ * @return {number} The expected hours.
+ */
+function getExpectedWeeklyHours(employee, weekEnding) {
+  var end = addDays(weekEnding, 1);
+  return countWorkingDays(employee, addDays(end, -7), end) * CONFIG.LEAVE.NORMAL_DAILY_HOURS;
+}
+
+/**
+ * Gets the paid public holiday hours in a pay week: the normal hours of each
+ * public holiday that falls on one of the employee's working days.
+ * @param {object} employee The employee record.
+ * @param {Date} weekEnding The week ending date.
+ * @return {number} The public holiday hours.
+ */
+function getPublicHolidayHours(employee, weekEnding) {
+  var pattern = getWorkPattern(employee);
+  var end = addDays(weekEnding, 1);
+  return getWorkingDays(employee, addDays(end, -7), end).reduce(function(total, day) {
+    return day.holiday ? total + pattern[day.date.getDay()] * CONFIG.LEAVE.NORMAL_DAILY_HOURS : total;
+  }, 0);
+}
+
+/**
+ * Works out an employee's public holiday pay for a week from the public
+ * holiday calendar, so the payroll form can show it before the payslip is
+ * saved.
+ * @param {string} employeeName The name of the employee.
+ * @param {Date} weekEnding The week ending date.
+ * @return {object} Result with success status, the paid `hours` and `amount`,
+ *     and the `holidays` on the employee's working days ({date, name}, dates
+ *     as yyyy-MM-dd).
+ */
+function getPublicHolidayPay(employeeName, weekEnding) {
+  try {
+    if (!weekEnding) {
+      return { success: false, message: 'Week Ending date is required.' };
+    }
+    var employee = getEmployeeByName(employeeName);
+    if (!employee) {
+      return { success: false, message: 'Employee not found: ' + employeeName };
+    }
+    
+    var pattern = getWorkPattern(employee);
+    var end = addDays(weekEnding, 1);
+    var holidays = getWorkingDays(employee, addDays(end, -7), end).filter(function(day) {
+      return day.holiday && pattern[day.date.getDay()] > 0;
+    }).map(function(day) {
+      return { date: formatDate(day.date), name: day.holiday };
+    });
+    var hours = getPublicHolidayHours(employee, weekEnding);
+    return {
+      success: true,
+      hours: hours,
+      amount: Math.round(hours * (parseFloat(employee['HOURLY RATE']) || 0) * 100) / 100,
+      holidays: holidays
+    };
+  } catch (e) {
+    Logger.log('ERROR in getPublicHolidayPay: ' + e.message);
+    return { success: false, message: 'An error occurred while working out the public holiday pay.' };
+  }
+}
+
+/**
+ * Calculates the employee and employer UIF contributions for a week.
+ * Contributions are levied on remuneration up to the monthly ceiling,
+ * pro-rated to a weekly amount.
+ * @param {number} grossSalary The remuneration for the week.
+ * @param {object} employee The employee record.
+ * @param {object} data The payslip data (uses EMPLOYEE NAME, WEEKENDING and hours).
+ * @param {Array<object>} payslips Optional existing payslips, read from MASTERSALARY if omitted.
+ * @return {object} The `employee` and `employer` contributions, rounded to cents.
+ */
+function calculateUIF(grossSalary, employee, data, payslips) {
+  var contribution = { employee: 0, employer: 0 };
+  if (!grossSalary || grossSalary <= 0) return contribution;
+  if (!isUIFContributor(employee, data, payslips)) return contribution;
+
+  var weeklyCeiling = CONFIG.UIF.MONTHLY_CEILING * 12 / CONFIG.PAY_PERIODS_PER_YEAR;
+  var remuneration = Math.min(grossSalary, weeklyCeiling);
+
+  contribution.employee = Math.round(remuneration * CONFIG.UIF.EMPLOYEE_RATE * 100) / 100;
+  contribution.employer = Math.round(remuneration * CONFIG.UIF.EMPLOYER_RATE * 100) / 100;
+  return contribution;
+}
+
+/**
+ * Determines whether an employee contributes to UIF for the week. Statuses in
+ * CONFIG.UIF.CONTRIBUTING_STATUSES always contribute; everyone else contributes
+ * once their hours for the calendar month, including this week, exceed
+ * CONFIG.UIF.MIN_MONTHLY_HOURS.
+ * @param {object} employee The employee record.
+ * @param {object} data The payslip data.
+ * @param {Array<object>} payslips Optional existing payslips, read from MASTERSALARY if omitted.
+ * @return {boolean} True if UIF should be deducted.
+ */
+function isUIFContributor(employee, data, payslips) {
+  if (CONFIG.UIF.CONTRIBUTING_STATUSES.indexOf(employee['EMPLOYMENT STATUS']) !== -1) {
+    return true;
+  }
+
+  var weekHours = (parseFloat(data.HOURS) || 0) + (parseFloat(data.MINUTES) || 0) / 60 +
+      (parseFloat(data.OVERTIMEHOURS) || 0) + (parseFloat(data.OVERTIMEMINUTES) || 0) / 60;
+  var monthHours = weekHours + getMonthlyHoursWorked(data['EMPLOYEE NAME'], data.WEEKENDING, data.RECORDNUMBER, payslips);
+  return monthHours > CONFIG.UIF.MIN_MONTHLY_HOURS;
+}
+
+/**
+ * Totals the hours on an employee's existing payslips in the calendar month of
+ * a week ending date.
+ * @param {string} employeeName The name of the employee.
+ * @param {Date} weekEnding A date in the month to total.
+ * @param {number} excludeRecordNumber A payslip to leave out, e.g. the one being recalculated.
+ * @param {Array<object>} payslips Optional existing payslips, read from MASTERSALARY if omitted.
+ * @return {number} The total hours, including overtime.
+ */
+function getMonthlyHoursWorked(employeeName, weekEnding, excludeRecordNumber, payslips) {
+  if (!weekEnding) return 0;
+  var month = new Date(weekEnding);
+  payslips = (payslips || listPayslips()).filter(function(rec) {
+    var date = new Date(rec.WEEKENDING);
+    return rec['EMPLOYEE NAME'] === employeeName &&
+        (!excludeRecordNumber || rec.RECORDNUMBER != excludeRecordNumber) &&
+        date.getMonth() === month.getMonth() &&
+        date.getFullYear() === month.getFullYear();
+  });
+
+  return payslips.reduce(function(total, rec) {
+    return total + (parseFloat(rec.HOURS) || 0) + (parseFloat(rec.MINUTES) || 0) / 60 +
+        (parseFloat(rec.OVERTIMEHOURS) || 0) + (parseFloat(rec.OVERTIMEMINUTES) || 0) / 60;
+  }, 0);
+}
+
+/**
+ * Returns the SARS tax year a date falls in. Tax years run from 1 March to the
+ * end of February and are named after the year in which they end.
+ * @param {Date} date The date to look up.
+ * @return {number} The tax year, e.g. 2026 for 1 March 2025 - 28 February 2026.
+ */
+function getTaxYear(date) {
+  var d = date ? new Date(date) : new Date();
+  return d.getMonth() >= 2 ? d.getFullYear() + 1 : d.getFullYear();
+}
+
+/**
+ * Gets the PAYE tax table for the tax year a date falls in.
+ * @param {Date} date The date to look up.
+ * @return {object} The tax table with BRACKETS, REBATES and THRESHOLDS.
+ * @throws {Error} If the tax year has not been added to CONFIG.TAX_TABLES.
+ */
+function getTaxTable(date) {
+  var taxYear = getTaxYear(date);
+  var table = CONFIG.TAX_TABLES[String(taxYear)];
+  if (!table) {
+    throw new Error('No tax table configured for the ' + taxYear + ' tax year in CONFIG.TAX_TABLES');
+  }
+  return table;
+}
+
+/**
+ * Calculates weekly PAYE by annualising the week's earnings, applying the SARS
+ * brackets and age-based rebates, and de-annualising the result.
+ * @param {number} grossSalary The taxable earnings for the week.
+ * @param {object} employee The employee record (uses `ID NUMBER` for age).
+ * @param {Date} weekEnding The week ending date, used to select the tax year.
+ * @return {number} The PAYE to deduct for the week, rounded to cents.
+ */
+function calculatePAYE(grossSalary, employee, weekEnding) {
+  if (!grossSalary || grossSalary <= 0) return 0;
+
+  var table = getTaxTable(weekEnding);
+  var periods = CONFIG.PAY_PERIODS_PER_YEAR;
+  var annualIncome = grossSalary * periods;
+
+  // Age is determined on the last day of the tax year
+  var taxYearEnd = new Date(getTaxYear(weekEnding), 2, 0);
+  var age = getAgeFromIdNumber(employee['ID NUMBER'], taxYearEnd) || 0;
+
+  var threshold = table.THRESHOLDS.UNDER_65;
+  if (age >= 75) {
+    threshold = table.THRESHOLDS.AGE_75_AND_OVER;
+  } else if (age >= 65) {
+    threshold = table.THRESHOLDS.AGE_65_TO_74;
+  }
+  if (annualIncome <= threshold) return 0;
+
+  var bracket = table.BRACKETS[0];
+  for (var i = 0; i < table.BRACKETS.length; i++) {
+    if (annualIncome > table.BRACKETS[i].from) {
+      bracket = table.BRACKETS[i];
+    }
+  }
+  var annualTax = bracket.base + (annualIncome - bracket.from) * bracket.rate;
+
+  var rebates = table.REBATES.PRIMARY;
+  if (age >= 65) rebates += table.REBATES.SECONDARY;
+  if (age >= 75) rebates += table.REBATES.TERTIARY;
+  annualTax = Math.max(0, annualTax - rebates);
+
+  return Math.round((annualTax / periods) * 100) / 100;
+}
+
 
 /**
  * Gets a single payslip by record number.
@@ -164,6 +629,22 @@ function getPayslip(recordNumber) {
   }
 }
 
+/**
+ * Finds an employee's payslip for a week.
+ * @param {string} employeeName The name of the employee.
+ * @param {Date} weekEnding The week ending date.
+ * @return {object} The payslip data, or null if there is none.
+ */
+function findPayslipForWeek(employeeName, weekEnding) {
+  var target = formatDate(weekEnding);
+  var name = String(employeeName || '').trim().toLowerCase();
+  var matches = listPayslips().filter(function(rec) {
+    return String(rec['EMPLOYEE NAME'] || '').trim().toLowerCase() === name &&
+        formatDate(rec.WEEKENDING) === target;
+  });
+  return matches.length > 0 ? matches[0] : null;
+}
+
 /**
  * Generates a PDF for a given payslip.
  * @param {string} recordNumber The unique record number of the payslip.
@@ -220,12 +701,79 @@ function generatePayslipPDF(recordNumber) {
     return pdfFile.getUrl();
 }
 
+/**
+ * Calculates the amounts due on termination on top of the final week's pay:
+ * accrued annual leave (BCEA s40), pay in lieu of notice not worked (s37)
+ * and severance for retrenchments (s41). Weekly pay is the ordinary hours
+ * pay averaged over the employee's recent payslips.
+ * @param {object} employee The employee record.
+ * @param {Date} terminationDate The last day of employment.
+ * @param {string} reason One of CONFIG.TERMINATION.REASONS.
+ * @param {number} noticeWeeksWorked Weeks of the notice period the employee
+ *     worked; the rest is paid in lieu. Defaults to 0.
+ * @return {object} The final pay amounts and how they were worked out.
+ */
+function calculateFinalPay(employee, terminationDate, reason, noticeWeeksWorked) {
+  var settings = CONFIG.TERMINATION;
+  var hourlyRate = parseFloat(employee['HOURLY RATE']) || 0;
+  var ended = new Date(terminationDate);
+  var started = employee['EMPLOYMENT DATE'] ? new Date(employee['EMPLOYMENT DATE']) : ended;
+  
+  var monthsOfService = (ended.getFullYear() - started.getFullYear()) * 12 + ended.getMonth() - started.getMonth();
+  if (ended.getDate() < started.getDate()) monthsOfService--;
+  monthsOfService = Math.max(0, monthsOfService);
+  var completedYears = Math.floor(monthsOfService / 12);
+  
+  var recent = listPayslips().filter(function(p) {
+    return p['EMPLOYEE NAME'] === employee['EMPLOYEE NAME'] && new Date(p.WEEKENDING) <= getWeekEndingDate(ended);
+  }).slice(0, settings.AVERAGE_WEEKS);
+  var weeklyHours = recent.length === 0 ? CONFIG.CLOCK_PUNCHES.WEEKLY_ORDINARY_HOURS :
+      recent.reduce(function(total, p) {
+        return total + (parseFloat(p.HOURS) || 0) + (parseFloat(p.MINUTES) || 0) / 60;
+      }, 0) / recent.length;
+  var weeklyPay = Math.round(weeklyHours * hourlyRate * 100) / 100;
+  
+  var noticeWeeks = settings.NOTICE_WEEKS_AFTER;
+  for (var i = 0; i < settings.NOTICE_WEEKS.length; i++) {
+    if (monthsOfService <= settings.NOTICE_WEEKS[i].UP_TO_MONTHS) {
+      noticeWeeks = settings.NOTICE_WEEKS[i].WEEKS;
+      break;
+    }
+  }
+  var noticeWeeksPaid = settings.NOTICE_PAY_REASONS.indexOf(reason) === -1 ? 0 :
+      Math.max(0, noticeWeeks - (parseFloat(noticeWeeksWorked) || 0));
+  var severanceWeeks = settings.SEVERANCE_REASONS.indexOf(reason) === -1 ? 0 :
+      completedYears * settings.SEVERANCE_WEEKS_PER_YEAR;
+  
+  var leave = getAnnualLeaveBalance(employee, ended);
+  var dailyRate = hourlyRate * CONFIG.LEAVE.NORMAL_DAILY_HOURS;
+  var leavePay = Math.round(leave.balance * dailyRate * 100) / 100;
+  var noticePay = Math.round(noticeWeeksPaid * weeklyPay * 100) / 100;
+  var severancePay = Math.round(severanceWeeks * weeklyPay * 100) / 100;
+  
+  return {
+    monthsOfService: monthsOfService,
+    completedYears: completedYears,
+    weeklyPay: weeklyPay,
+    leaveDays: leave.balance,
+    dailyRate: dailyRate,
+    leavePay: leavePay,
+    noticeWeeks: noticeWeeks,
+    noticeWeeksPaid: noticeWeeksPaid,
+    noticePay: noticePay,
+    severanceWeeks: severanceWeeks,
+    severancePay: severancePay,
+    total: Math.round((leavePay + noticePay + severancePay) * 100) / 100
+  };
+}
+
 /**
  * Validates payslip data.
  * @param {object} data The payslip data to validate.
+ * @param {object} employee Optional employee record, looked up by name if not given.
  * @return {object} An object with `isValid` and a list of `errors`.
  */
-function validatePayslip(data) {
+function validatePayslip(data, employee) {
   var errors = [];
   
   if (!data['EMPLOYEE NAME']) {
@@ -236,6 +784,18 @@ function validatePayslip(data) {
     errors.push('Week Ending date is required');
   }
   
+  if (data['EMPLOYEE NAME'] && data.WEEKENDING) {
+    employee = employee || getEmployeeByName(data['EMPLOYEE NAME']);
+    if (isAfterTermination(employee, data.WEEKENDING)) {
+      errors.push('Employee was terminated on ' + formatDate(employee['TERMINATION DATE']) + ', before this week');
+    }
+  }
+  
+  // PAYE would otherwise be calculated with another year's brackets and rebates
+  if (data.WEEKENDING && !CONFIG.TAX_TABLES[String(getTaxYear(data.WEEKENDING))]) {
+    errors.push('No tax table configured for the ' + getTaxYear(data.WEEKENDING) + ' tax year');
+  }
+  
   var hours = parseFloat(data.HOURS) || 0;
   var overtimeHours = parseFloat(data.OVERTIMEHOURS) || 0;
   
@@ -247,6 +807,17 @@ function validatePayslip(data) {
     errors.push('Total hours exceed maximum possible (168 hours/week)');
   }
   
+  // A new loan paid with the salary follows the same policy as one recorded
+  // on the loans form; only a loan manager can pay one that breaks it. When a
+  // payslip is being corrected, its own disbursement is already in the balance.
+  if (employee && parseFloat(data.NewLoanThisWeek) && !isLoanManager(getCurrentUser())) {
+    var existingLoan = data.RECORDNUMBER ? findLoanRecordBySalaryLink(data.RECORDNUMBER, 'Disbursement') : null;
+    var policyErrors = checkPayslipLoanPolicy(employee, data, existingLoan ? existingLoan.LoanAmount : 0);
+    if (policyErrors.length > 0) {
+      errors.push('New loan breaks the loan policy and needs a loan manager: ' + policyErrors.join(' '));
+    }
+  }
+  
   return { 
     isValid: errors.length === 0, 
     errors: errors 
@@ -2,6 +2,12 @@
  * @fileoverview All functions for report generation.
  */
 
+// Optional template ID for individual statement PDF generation. The template
+// uses {{FIELD}} placeholders and a paragraph each of {{PAYSLIPS}}, {{LOANS}}
+// and {{LEAVE}} where those tables are inserted. Without a template the
+// statement is laid out by writeDefaultStatementLayout.
+var STATEMENT_TEMPLATE_ID = '';
+
 /**
  * Generates a weekly payroll summary report.
  * @param {Date} weekEnding The week ending date.
@@ -25,6 +31,7 @@ function generateWeeklyReport(weekEnding) {
     var grossCol = headers.indexOf('GROSSSALARY');
     var netCol = headers.indexOf('NETTSALARY');
     var paidCol = headers.indexOf('PaidToAccount');
+    var statusCol = headers.indexOf('STATUS');
     
     var weekData = [];
     var totals = {
@@ -35,6 +42,7 @@ function generateWeeklyReport(weekEnding) {
     };
     
     for (var i = 0; i < data.length; i++) {
+      if (data[i][statusCol] === 'Reversed') continue;
       if (formatDate(data[i][weekEndingCol]) === formatDate(weekEnding)) {
         weekData.push({
           employee: data[i][employeeCol],
@@ -85,24 +93,38 @@ function generateMonthlyReport(month, year) {
     var grossCol = headers.indexOf('GROSSSALARY');
     var netCol = headers.indexOf('NETTSALARY');
     var paidCol = headers.indexOf('PaidToAccount');
+    var payeCol = headers.indexOf('PAYE');
+    var uifCol = headers.indexOf('UIF');
+    var employerUifCol = headers.indexOf('EMPLOYERUIF');
+    var statusCol = headers.indexOf('STATUS');
     
+    var employees = getEmployeeLookup();
     var monthData = [];
     var totals = {
       payslips: 0,
       employees: {},
       grossTotal: 0,
       netTotal: 0,
-      paidTotal: 0
+      paidTotal: 0,
+      payeTotal: 0,
+      uifTotal: 0,
+      employerUifTotal: 0
     };
     
     for (var i = 0; i < data.length; i++) {
+      if (data[i][statusCol] === 'Reversed') continue;
       var date = new Date(data[i][weekEndingCol]);
       if (date.getMonth() + 1 === month && date.getFullYear() === year) {
         var employeeName = data[i][employeeCol];
+        var employee = employees[employeeName];
         monthData.push({
           employee: employeeName,
+          employer: employee ? employee.EMPLOYER : '',
           weekEnding: date,
           gross: data[i][grossCol],
+          paye: data[i][payeCol],
+          uif: data[i][uifCol],
+          employerUif: data[i][employerUifCol],
           net: data[i][netCol],
           paid: data[i][paidCol]
         });
@@ -111,6 +133,9 @@ function generateMonthlyReport(month, year) {
         totals.grossTotal += parseFloat(data[i][grossCol]) || 0;
         totals.netTotal += parseFloat(data[i][netCol]) || 0;
         totals.paidTotal += parseFloat(data[i][paidCol]) || 0;
+        totals.payeTotal += parseFloat(data[i][payeCol]) || 0;
+        totals.uifTotal += parseFloat(data[i][uifCol]) || 0;
+        totals.employerUifTotal += parseFloat(data[i][employerUifCol]) || 0;
       }
     }
     
@@ -130,6 +155,759 @@ function generateMonthlyReport(month, year) {
   }
 }
 
+/**
+ * Generates the EMP201 monthly declaration figures for each employer in
+ * CONFIG.EMPLOYER_LIST from the payslips in the month. Employers with payslips
+ * but without their SARS references are listed in `setupErrors`.
+ * @param {number} month The month (1-12).
+ * @param {number} year The year.
+ * @return {object} Report data or error.
+ */
+function generateEMP201Report(month, year) {
+  try {
+    // Both come from form fields, so they can arrive as strings
+    month = Number(month);
+    year = Number(year);
+    var monthly = generateMonthlyReport(month, year);
+    if (!monthly.success) {
+      return monthly;
+    }
+    
+    var asOfDate = new Date(year, month, 0);
+    var emp201Data = CONFIG.EMPLOYER_LIST.map(function(employer) {
+      var rows = monthly.data.filter(function(row) {
+        return row.employer === employer;
+      });
+      
+      var summary = {
+        employer: employer,
+        payeReference: getEmployerDetails(employer).PAYE_REFERENCE,
+        payslips: rows.length,
+        leviablePayroll: 0,
+        paye: 0,
+        uifEmployee: 0,
+        uifEmployer: 0,
+        uifTotal: 0,
+        sdl: 0,
+        totalLiability: 0
+      };
+      
+      rows.forEach(function(row) {
+        summary.leviablePayroll += parseFloat(row.gross) || 0;
+        summary.paye += parseFloat(row.paye) || 0;
+        summary.uifEmployee += parseFloat(row.uif) || 0;
+        summary.uifEmployer += parseFloat(row.employerUif) || 0;
+      });
+      
+      summary.sdl = calculateSDL(employer, summary.leviablePayroll, asOfDate);
+      summary.missingReferences = rows.length > 0 ?
+          getMissingEmployerReferences(employer, isSDLExempt(employer, asOfDate)) : [];
+      summary.uifTotal = summary.uifEmployee + summary.uifEmployer;
+      summary.totalLiability = summary.paye + summary.uifTotal + summary.sdl;
+      return summary;
+    });
+    
+    var totals = emp201Data.reduce(function(acc, summary) {
+      acc.paye += summary.paye;
+      acc.uifTotal += summary.uifTotal;
+      acc.sdl += summary.sdl;
+      acc.totalLiability += summary.totalLiability;
+      return acc;
+    }, { paye: 0, uifTotal: 0, sdl: 0, totalLiability: 0 });
+    
+    return {
+      success: true,
+      month: month,
+      year: year,
+      data: emp201Data,
+      totals: totals,
+      setupErrors: emp201Data.filter(function(summary) {
+        return summary.missingReferences.length > 0;
+      }).map(function(summary) {
+        return summary.employer + ' is missing ' + summary.missingReferences.join(', ') + ' in CONFIG.EMPLOYER_DETAILS';
+      })
+    };
+  } catch (e) {
+    Logger.log('ERROR in generateEMP201Report: ' + e.message);
+    return { success: false, message: 'Error generating report: ' + e.message };
+  }
+}
+
+/**
+ * Generates the EMP501 reconciliation for a tax year: one IRP5/IT3(a)
+ * certificate per employee per employer, written to Google Drive as an
+ * e@syFile CSV import file for each employer.
+ * @param {number} taxYear The tax year, named after the year it ends (e.g. 2026).
+ * @param {number} endMonth Optional last month to include (8 for the interim
+ *     reconciliation up to August); defaults to the full year ending February.
+ * @return {object} Report data, dates as yyyy-MM-dd, or error.
+ */
+function generateEMP501Report(taxYear, endMonth) {
+  try {
+    var periodStart = new Date(taxYear - 1, 2, 1);
+    // The month comes from a form select, so it arrives as a string
+    var periodEnd = Number(endMonth) === 8 ? new Date(taxYear - 1, 8, 0) : new Date(taxYear, 2, 0);
+    
+    var employees = getEmployeeLookup();
+    var payslips = listPayslips().filter(function(rec) {
+      var date = new Date(rec.WEEKENDING);
+      return date >= periodStart && date <= periodEnd;
+    });
+    
+    // e@syFile rejects an import without the employer's reference numbers, so
+    // check every employer with payslips before any file is written
+    var errors = [];
+    CONFIG.EMPLOYER_LIST.forEach(function(employer) {
+      var hasPayslips = payslips.some(function(rec) {
+        var employee = employees[rec['EMPLOYEE NAME']];
+        return employee && employee.EMPLOYER === employer;
+      });
+      if (!hasPayslips) return;
+      var missing = getMissingEmployerReferences(employer, isSDLExempt(employer, periodEnd));
+      if (missing.length > 0) {
+        errors.push(employer + ' is missing ' + missing.join(', ') + ' in CONFIG.EMPLOYER_DETAILS');
+      }
+    });
+    if (errors.length > 0) {
+      return { success: false, message: errors.join('; ') };
+    }
+    
+    var results = [];
+    CONFIG.EMPLOYER_LIST.forEach(function(employer) {
+      var byEmployee = {};
+      payslips.forEach(function(rec) {
+        var employee = employees[rec['EMPLOYEE NAME']];
+        if (!employee || employee.EMPLOYER !== employer) return;
+        if (!byEmployee[rec['EMPLOYEE NAME']]) {
+          byEmployee[rec['EMPLOYEE NAME']] = [];
+        }
+        byEmployee[rec['EMPLOYEE NAME']].push(rec);
+      });
+      
+      var names = Object.keys(byEmployee).sort();
+      var leviablePayroll = payslips.reduce(function(total, rec) {
+        var employee = employees[rec['EMPLOYEE NAME']];
+        return total + (employee && employee.EMPLOYER === employer ? parseFloat(rec.GROSSSALARY) || 0 : 0);
+      }, 0);
+      var sdlExempt = isSDLExempt(employer, periodEnd);
+      
+      var certificates = names.map(function(name, idx) {
+        return buildTaxCertificate(employees[name], byEmployee[name], taxYear, idx + 1, sdlExempt);
+      });
+      
+      var result = {
+        employer: employer,
+        certificates: certificates,
+        totals: {
+          certificates: certificates.length,
+          grossRemuneration: 0,
+          paye: 0,
+          uif: 0,
+          sdl: 0
+        }
+      };
+      certificates.forEach(function(cert) {
+        result.totals.grossRemuneration += cert.codes['3699'];
+        result.totals.paye += cert.codes['4102'];
+        result.totals.uif += cert.codes['4141'];
+        result.totals.sdl += cert.codes['4142'];
+      });
+      
+      if (certificates.length > 0) {
+        var csv = buildEasyFileCSV(employer, certificates, taxYear, periodEnd);
+        var fileName = 'EMP501_' + employer.replace(/\s+/g, '_') + '_' + taxYear + '_' +
+            Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMdd_HHmmss') + '.csv';
+        result.fileUrl = DriveApp.createFile(fileName, csv, MimeType.CSV).getUrl();
+        result.fileName = fileName;
+      }
+      results.push(result);
+    });
+    
+    return {
+      success: true,
+      taxYear: taxYear,
+      periodStart: formatDate(periodStart),
+      periodEnd: formatDate(periodEnd),
+      data: results
+    };
+  } catch (e) {
+    Logger.log('ERROR in generateEMP501Report: ' + e.message);
+    return { success: false, message: 'Error generating report: ' + e.message };
+  }
+}
+
+/**
+ * Lists the SARS reference numbers that are not set for an employer in
+ * CONFIG.EMPLOYER_DETAILS. The SDL reference is only needed when the employer
+ * pays SDL.
+ * @param {string} employer The employer name.
+ * @param {boolean} sdlExempt Whether the employer is exempt from SDL.
+ * @return {Array<string>} The names of the missing references.
+ */
+function getMissingEmployerReferences(employer, sdlExempt) {
+  var details = getEmployerDetails(employer);
+  var required = ['PAYE_REFERENCE', 'UIF_REFERENCE'];
+  if (!sdlExempt) {
+    required.push('SDL_REFERENCE');
+  }
+  return required.filter(function(key) {
+    return !details[key] || !String(details[key]).trim();
+  });
+}
+
+/**
+ * Lists the configuration the SARS and employer cost reports still need for
+ * each employer in CONFIG.EMPLOYER_LIST: its SARS references in
+ * CONFIG.EMPLOYER_DETAILS and its rate in CONFIG.COIDA.ASSESSMENT_RATES.
+ * @return {object} Result with success status and the `errors` found.
+ */
+function getReportSetupErrors() {
+  try {
+    var errors = [];
+    CONFIG.EMPLOYER_LIST.forEach(function(employer) {
+      var missing = getMissingEmployerReferences(employer, isSDLExempt(employer, new Date()));
+      if (missing.length > 0) {
+        errors.push(employer + ' is missing ' + missing.join(', ') + ' in CONFIG.EMPLOYER_DETAILS');
+      }
+      if (!(CONFIG.COIDA.ASSESSMENT_RATES[employer] > 0)) {
+        errors.push(employer + ' has no COIDA assessment rate in CONFIG.COIDA.ASSESSMENT_RATES');
+      }
+    });
+    return { success: true, errors: errors };
+  } catch (e) {
+    Logger.log('ERROR in getReportSetupErrors: ' + e.message);
+    return { success: false, message: 'Error checking the report setup: ' + e.message };
+  }
+}
+
+/**
+ * Builds the IRP5/IT3(a) certificate data for one employee. Certificates with
+ * no PAYE deducted are issued as IT3(a) with reason 02 (below tax threshold).
+ * @param {object} employee The employee record.
+ * @param {Array<object>} payslips The employee's payslips in the period.
+ * @param {number} taxYear The tax year.
+ * @param {number} sequence The certificate sequence number for the employer.
+ * @param {boolean} sdlExempt Whether the employer is exempt from SDL.
+ * @return {object} The certificate with employee details and SARS source codes.
+ */
+function buildTaxCertificate(employee, payslips, taxYear, sequence, sdlExempt) {
+  var codes = {
+    '3601': 0, // Income (taxable)
+    '3605': 0, // Annual payment (bonus)
+    '3697': 0, // Gross retirement funding employment income
+    '3698': 0, // Gross non-retirement funding employment income
+    '3699': 0, // Gross employment income
+    '4102': 0, // PAYE
+    '4141': 0, // UIF contribution (employee + employer)
+    '4142': 0, // SDL contribution
+    '4149': 0  // Total tax, SDL and UIF
+  };
+  
+  var firstWeek = null;
+  var lastWeek = null;
+  payslips.forEach(function(rec) {
+    var bonus = parseFloat(rec['BONUS PAY']) || 0;
+    var gross = parseFloat(rec.GROSSSALARY) || 0;
+    codes['3601'] += gross - bonus;
+    codes['3605'] += bonus;
+    codes['4102'] += parseFloat(rec.PAYE) || 0;
+    codes['4141'] += (parseFloat(rec.UIF) || 0) + (parseFloat(rec.EMPLOYERUIF) || 0);
+    if (!sdlExempt) {
+      codes['4142'] += gross * CONFIG.SDL.RATE;
+    }
+    
+    var weekEnding = new Date(rec.WEEKENDING);
+    if (!firstWeek || weekEnding < firstWeek) firstWeek = weekEnding;
+    if (!lastWeek || weekEnding > lastWeek) lastWeek = weekEnding;
+  });
+  
+  for (var code in codes) {
+    codes[code] = Math.round(codes[code] * 100) / 100;
+  }
+  codes['3698'] = Math.round((codes['3601'] + codes['3605']) * 100) / 100;
+  codes['3699'] = codes['3697'] + codes['3698'];
+  codes['4149'] = Math.round((codes['4102'] + codes['4141'] + codes['4142']) * 100) / 100;
+  
+  var isIRP5 = codes['4102'] > 0;
+  var firstDay = new Date(firstWeek.getTime() - 6 * 24 * 60 * 60 * 1000);
+  
+  return {
+    certificateNumber: taxYear + String(sequence).padStart(6, '0'),
+    certificateType: isIRP5 ? 'IRP5' : 'IT3(a)',
+    reasonCode: isIRP5 ? '' : '02',
+    employeeName: employee['EMPLOYEE NAME'],
+    surname: employee.SURNAME,
+    idNumber: employee['ID NUMBER'] ? String(employee['ID NUMBER']).padStart(13, '0') : '',
+    dateOfBirth: formatDate(employee['DATE OF BIRTH']),
+    taxNumber: employee['INCOME TAX NUMBER'] || '',
+    periodFrom: formatDate(firstDay),
+    periodTo: formatDate(lastWeek),
+    payPeriods: CONFIG.PAY_PERIODS_PER_YEAR,
+    periodsWorked: payslips.length,
+    codes: codes
+  };
+}
+
+/**
+ * Formats EMP501 certificates as an e@syFile CSV import file. Each line is a
+ * list of `code,value` pairs terminated by code 9999: an employer header, one
+ * line per certificate and a trailer with record counts and control totals.
+ * @param {string} employer The employer name.
+ * @param {Array<object>} certificates The certificates from buildTaxCertificate.
+ * @param {number} taxYear The tax year.
+ * @param {Date} periodEnd The last day of the reconciliation period.
+ * @return {string} The CSV file content.
+ */
+function buildEasyFileCSV(employer, certificates, taxYear, periodEnd) {
+  var details = getEmployerDetails(employer);
+  var codeCount = 0;
+  var amountTotal = 0;
+  
+  // Pairs are [code, value, unquoted]; numbers are monetary amounts and count
+  // towards the control total, other values are quoted unless flagged.
+  var formatLine = function(pairs) {
+    var values = [];
+    pairs.forEach(function(pair) {
+      var value = pair[1];
+      if (value === '' || value === null || value === undefined) return;
+      if (typeof value === 'number') {
+        amountTotal += value;
+        value = value.toFixed(2);
+      } else if (!pair[2]) {
+        value = '"' + String(value).replace(/"/g, '') + '"';
+      }
+      codeCount++;
+      values.push(pair[0], value);
+    });
+    codeCount++;
+    values.push('9999');
+    return values.join(',');
+  };
+  
+  // Certificate dates are already yyyy-MM-dd
+  var formatDateCode = function(date) {
+    return date ? String(date).replace(/-/g, '') : '';
+  };
+  
+  var lines = [];
+  lines.push(formatLine([
+    ['2010', details.TRADING_NAME || employer],
+    ['2015', 'LIVE'],
+    ['2020', details.PAYE_REFERENCE],
+    ['2022', details.SDL_REFERENCE],
+    ['2024', details.UIF_REFERENCE],
+    ['2025', details.CONTACT_PERSON],
+    ['2026', details.CONTACT_NUMBER],
+    ['2027', details.CONTACT_EMAIL],
+    ['2028', 'HR Apps Script'],
+    ['2030', String(taxYear), true],
+    ['2031', Utilities.formatDate(periodEnd, Session.getScriptTimeZone(), 'yyyyMM'), true],
+    ['2080', details.POSTAL_CODE]
+  ]));
+  
+  certificates.forEach(function(cert) {
+    var pairs = [
+      ['3010', cert.certificateNumber],
+      ['3015', cert.certificateType],
+      ['3020', 'A'],
+      ['3025', String(taxYear), true],
+      ['3030', cert.surname],
+      ['3040', cert.employeeName],
+      ['3060', cert.idNumber],
+      ['3080', formatDateCode(cert.dateOfBirth), true],
+      ['3100', cert.taxNumber],
+      ['3170', formatDateCode(cert.periodFrom), true],
+      ['3180', formatDateCode(cert.periodTo), true],
+      ['3200', cert.payPeriods.toFixed(4), true],
+      ['3210', cert.periodsWorked.toFixed(4), true],
+      ['3230', cert.reasonCode]
+    ];
+    Object.keys(cert.codes).forEach(function(code) {
+      if (cert.codes[code] !== 0) {
+        pairs.push([code, cert.codes[code]]);
+      }
+    });
+    lines.push(formatLine(pairs));
+  });
+  
+  var trailer = ['6010', String(lines.length), '6020', String(codeCount), '6030', amountTotal.toFixed(2), '9999'];
+  lines.push(trailer.join(','));
+  
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Generates an employer cost report showing the total cost of labour for each
+ * employer in CONFIG.EMPLOYER_LIST over a date range: gross pay plus employer
+ * UIF, SDL and estimated COIDA assessment. An employer without a COIDA rate
+ * has no estimate (`coida` is null) rather than R0, is left out of the COIDA
+ * total and is listed in `setupErrors`.
+ * @param {Date} startDate The first week ending date to include.
+ * @param {Date} endDate The last week ending date to include.
+ * @return {object} Report data, dates as yyyy-MM-dd, or error.
+ */
+function generateEmployerCostReport(startDate, endDate) {
+  try {
+    var start = new Date(startDate);
+    var end = new Date(endDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) {
+      return { success: false, message: 'A valid start and end date are required' };
+    }
+    
+    var employees = getEmployeeLookup();
+    var payslips = listPayslips().filter(function(rec) {
+      var date = new Date(rec.WEEKENDING);
+      return date >= start && date <= end;
+    });
+    
+    // Pro-rate the annual COIDA ceiling to the length of the range
+    var rangeDays = Math.round((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    var coidaCeiling = CONFIG.COIDA.ANNUAL_EARNINGS_CEILING * Math.min(rangeDays, 365) / 365;
+    
+    var missingRates = [];
+    var costData = CONFIG.EMPLOYER_LIST.map(function(employer) {
+      var grossByEmployee = {};
+      var summary = {
+        employer: employer,
+        employees: 0,
+        payslips: 0,
+        grossPay: 0,
+        employerUif: 0,
+        sdl: 0,
+        sdlExempt: isSDLExempt(employer, end),
+        coida: 0,
+        totalCost: 0
+      };
+      
+      payslips.forEach(function(rec) {
+        var employee = employees[rec['EMPLOYEE NAME']];
+        if (!employee || employee.EMPLOYER !== employer) return;
+        var gross = parseFloat(rec.GROSSSALARY) || 0;
+        summary.payslips++;
+        summary.grossPay += gross;
+        summary.employerUif += parseFloat(rec.EMPLOYERUIF) || 0;
+        grossByEmployee[rec['EMPLOYEE NAME']] = (grossByEmployee[rec['EMPLOYEE NAME']] || 0) + gross;
+      });
+      
+      var assessable = 0;
+      for (var name in grossByEmployee) {
+        summary.employees++;
+        assessable += Math.min(grossByEmployee[name], coidaCeiling);
+      }
+      var coidaRate = CONFIG.COIDA.ASSESSMENT_RATES[employer];
+      if (summary.payslips > 0 && !(coidaRate > 0)) {
+        missingRates.push(employer);
+      }
+      
+      summary.sdl = calculateSDL(employer, summary.grossPay, end);
+      summary.coida = coidaRate > 0 ? Math.round(assessable * coidaRate) / 100 : null;
+      summary.totalCost = summary.grossPay + summary.employerUif + summary.sdl + (summary.coida || 0);
+      summary.averageCostPerEmployee = summary.employees > 0 ? summary.totalCost / summary.employees : 0;
+      return summary;
+    });
+    
+    var totals = costData.reduce(function(acc, summary) {
+      acc.grossPay += summary.grossPay;
+      acc.employerUif += summary.employerUif;
+      acc.sdl += summary.sdl;
+      acc.coida += summary.coida || 0;
+      acc.totalCost += summary.totalCost;
+      return acc;
+    }, { grossPay: 0, employerUif: 0, sdl: 0, coida: 0, totalCost: 0 });
+    
+    return {
+      success: true,
+      startDate: formatDate(start),
+      endDate: formatDate(end),
+      data: costData,
+      totals: totals,
+      setupErrors: missingRates.map(function(employer) {
+        return 'No COIDA assessment rate set in CONFIG.COIDA.ASSESSMENT_RATES for ' + employer +
+            ', so its COIDA cost is not estimated';
+      })
+    };
+  } catch (e) {
+    Logger.log('ERROR in generateEmployerCostReport: ' + e.message);
+    return { success: false, message: 'Error generating report: ' + e.message };
+  }
+}
+
+/**
+ * Calculates the Skills Development Levy for an employer's leviable payroll,
+ * taking the annual exemption threshold into account.
+ * @param {string} employer The employer name.
+ * @param {number} leviablePayroll The remuneration the levy applies to.
+ * @param {Date} asOfDate The end of the period being levied.
+ * @return {number} The SDL payable, rounded to cents.
+ */
+function calculateSDL(employer, leviablePayroll, asOfDate) {
+  if (!leviablePayroll || isSDLExempt(employer, asOfDate)) return 0;
+  return Math.round(leviablePayroll * CONFIG.SDL.RATE * 100) / 100;
+}
+
+/**
+ * Determines whether an employer is exempt from SDL because its leviable
+ * payroll for the 12 months up to a date does not exceed
+ * CONFIG.SDL.ANNUAL_EXEMPTION_THRESHOLD.
+ * @param {string} employer The employer name.
+ * @param {Date} asOfDate The last day of the 12-month window.
+ * @return {boolean} True if the employer is exempt.
+ */
+function isSDLExempt(employer, asOfDate) {
+  var end = new Date(asOfDate);
+  var start = new Date(end.getFullYear() - 1, end.getMonth(), end.getDate() + 1);
+  var employees = getEmployeeLookup();
+  
+  var annualPayroll = listPayslips().reduce(function(total, rec) {
+    var employee = employees[rec['EMPLOYEE NAME']];
+    var date = new Date(rec.WEEKENDING);
+    if (employee && employee.EMPLOYER === employer && date >= start && date <= end) {
+      return total + (parseFloat(rec.GROSSSALARY) || 0);
+    }
+    return total;
+  }, 0);
+  
+  return annualPayroll <= CONFIG.SDL.ANNUAL_EXEMPTION_THRESHOLD;
+}
+
+/**
+ * Gets the SARS registration details for an employer.
+ * @param {string} employer The employer name.
+ * @return {object} The details from CONFIG.EMPLOYER_DETAILS, or an empty object.
+ */
+function getEmployerDetails(employer) {
+  return CONFIG.EMPLOYER_DETAILS[employer] || {};
+}
+
+/**
+ * Generates an individual statement for an employee over a date range,
+ * combining their payslips, loan transactions with the running balance and
+ * leave taken, and renders it as a PDF with renderStatementPDF.
+ * @param {string} employeeName The name of the employee.
+ * @param {Date} startDate The first day of the statement.
+ * @param {Date} endDate The last day of the statement.
+ * @return {object} Report data with the PDF `fileUrl`, dates as yyyy-MM-dd, or error.
+ */
+function generateIndividualStatementReport(employeeName, startDate, endDate) {
+  try {
+    if (!employeeName || !startDate || !endDate) {
+      return { success: false, message: 'Employee name, start date and end date are required' };
+    }
+    var employee = getEmployeeByName(employeeName);
+    if (!employee) {
+      return { success: false, message: 'Employee not found: ' + employeeName };
+    }
+    
+    var from = formatDate(startDate);
+    var to = formatDate(endDate);
+    var inRange = function(date) {
+      var key = formatDate(date);
+      return key >= from && key <= to;
+    };
+    
+    var payslips = listPayslips().filter(function(rec) {
+      return rec['EMPLOYEE NAME'] === employeeName && inRange(rec.WEEKENDING);
+    }).sort(function(a, b) {
+      return new Date(a.WEEKENDING) - new Date(b.WEEKENDING);
+    }).map(function(rec) {
+      return {
+        recordNumber: rec.RECORDNUMBER,
+        weekEnding: formatDate(rec.WEEKENDING),
+        hours: (parseFloat(rec.HOURS) || 0) + (parseFloat(rec.MINUTES) || 0) / 60,
+        overtimeHours: (parseFloat(rec.OVERTIMEHOURS) || 0) + (parseFloat(rec.OVERTIMEMINUTES) || 0) / 60,
+        gross: parseFloat(rec.GROSSSALARY) || 0,
+        paye: parseFloat(rec.PAYE) || 0,
+        uif: parseFloat(rec.UIF) || 0,
+        loanDeduction: parseFloat(rec.LoanDeductionThisWeek) || 0,
+        totalDeductions: parseFloat(rec.TOTALDEDUCTIONS) || 0,
+        net: parseFloat(rec.NETTSALARY) || 0,
+        paid: parseFloat(rec.PaidToAccount) || 0
+      };
+    });
+    
+    var payTotals = { gross: 0, paye: 0, uif: 0, loanDeduction: 0, totalDeductions: 0, net: 0, paid: 0 };
+    payslips.forEach(function(payslip) {
+      for (var key in payTotals) {
+        payTotals[key] += payslip[key];
+      }
+    });
+    
+    // Replay the full history so the opening balance and breakdown are right
+    var steps = replayLoanTransactions(getLoanHistory(employee.ID));
+    var empty = { balanceAfter: 0, principal: 0, interest: 0, fees: 0 };
+    var opening = empty;
+    var closing = empty;
+    var loans = [];
+    steps.forEach(function(step) {
+      var key = formatDate(step.transaction.TransactionDate);
+      if (key < from) {
+        opening = step;
+        closing = step;
+      } else if (key <= to) {
+        closing = step;
+        loans.push({
+          date: key,
+          type: step.transaction.LoanType,
+          amount: step.amount,
+          balance: step.balanceAfter,
+          notes: step.transaction.Notes || ''
+        });
+      }
+    });
+    
+    var leave = getLeaveHistory(employeeName).filter(function(rec) {
+      if (!isApprovedLeave(rec)) return false;
+      var start = formatDate(rec['STARTDATE.LEAVE']);
+      var end = formatDate(rec['RETURNDATE.LEAVE'] || rec['STARTDATE.LEAVE']);
+      return start && start <= to && end >= from;
+    }).map(function(rec) {
+      return {
+        reason: rec.REASON,
+        startDate: formatDate(rec['STARTDATE.LEAVE']),
+        returnDate: formatDate(rec['RETURNDATE.LEAVE']),
+        days: parseFloat(rec['TOTALDAYS.LEAVE']) || 0
+      };
+    });
+    var leaveDays = {};
+    leave.forEach(function(rec) {
+      leaveDays[rec.reason] = (leaveDays[rec.reason] || 0) + rec.days;
+    });
+    
+    var report = {
+      success: true,
+      employeeName: employeeName,
+      employer: employee.EMPLOYER,
+      startDate: from,
+      endDate: to,
+      payslips: payslips,
+      loans: loans,
+      leave: leave,
+      totals: {
+        pay: payTotals,
+        loans: {
+          openingBalance: opening.balanceAfter,
+          closingBalance: closing.balanceAfter,
+          principal: closing.principal,
+          interest: closing.interest,
+          fees: closing.fees
+        },
+        leaveDays: leaveDays
+      }
+    };
+    
+    report.fileUrl = renderStatementPDF(report);
+    return report;
+  } catch (e) {
+    Logger.log('ERROR in generateIndividualStatementReport: ' + e.message);
+    return { success: false, message: 'Error generating report: ' + e.message };
+  }
+}
+
+/**
+ * Renders an individual statement to PDF, from STATEMENT_TEMPLATE_ID when one
+ * is set and otherwise from the default layout.
+ * @param {object} report The statement from generateIndividualStatementReport.
+ * @return {string} The URL of the generated PDF.
+ */
+function renderStatementPDF(report) {
+  var newDocName = 'Statement - ' + report.employeeName + ' - ' + report.startDate + ' to ' + report.endDate;
+  var newFile;
+  var doc;
+  if (STATEMENT_TEMPLATE_ID) {
+    newFile = DriveApp.getFileById(STATEMENT_TEMPLATE_ID).makeCopy(newDocName);
+    doc = DocumentApp.openById(newFile.getId());
+  } else {
+    doc = DocumentApp.create(newDocName);
+    newFile = DriveApp.getFileById(doc.getId());
+    writeDefaultStatementLayout(doc.getBody());
+  }
+  var body = doc.getBody();
+  
+  var loanTotals = report.totals.loans;
+  var fields = {
+    'EMPLOYEE NAME': report.employeeName,
+    'EMPLOYER': report.employer,
+    'STARTDATE': report.startDate,
+    'ENDDATE': report.endDate,
+    'GROSSTOTAL': formatCurrency(report.totals.pay.gross),
+    'DEDUCTIONSTOTAL': formatCurrency(report.totals.pay.totalDeductions),
+    'NETTTOTAL': formatCurrency(report.totals.pay.net),
+    'PAIDTOTAL': formatCurrency(report.totals.pay.paid),
+    'LOANOPENING': formatCurrency(loanTotals.openingBalance),
+    'LOANCLOSING': formatCurrency(loanTotals.closingBalance),
+    'LOANPRINCIPAL': formatCurrency(loanTotals.principal),
+    'LOANINTEREST': formatCurrency(loanTotals.interest),
+    'LOANFEES': formatCurrency(loanTotals.fees)
+  };
+  for (var key in fields) {
+    body.replaceText('{{' + key + '}}', fields[key] || '');
+  }
+  
+  insertStatementTable(body, '{{PAYSLIPS}}', ['Week Ending', 'Hours', 'Overtime', 'Gross', 'Deductions', 'Nett', 'Paid'],
+    report.payslips.map(function(p) {
+      return [p.weekEnding, p.hours.toFixed(2), p.overtimeHours.toFixed(2), formatCurrency(p.gross),
+        formatCurrency(p.totalDeductions), formatCurrency(p.net), formatCurrency(p.paid)];
+    }));
+  insertStatementTable(body, '{{LOANS}}', ['Date', 'Type', 'Amount', 'Balance', 'Notes'],
+    [['', 'Opening balance', '', formatCurrency(loanTotals.openingBalance), '']].concat(report.loans.map(function(t) {
+      return [t.date, t.type, formatCurrency(t.amount), formatCurrency(t.balance), t.notes];
+    })));
+  insertStatementTable(body, '{{LEAVE}}', ['Reason', 'From', 'Return', 'Days'],
+    report.leave.map(function(l) {
+      return [l.reason, l.startDate, l.returnDate || '', String(l.days)];
+    }));
+  doc.saveAndClose();
+  
+  var pdf = newFile.getAs('application/pdf');
+  var pdfFile = DriveApp.createFile(pdf).setName(newDocName + '.pdf');
+  newFile.setTrashed(true); // Delete the temporary Google Doc
+  return pdfFile.getUrl();
+}
+
+/**
+ * Writes the statement layout used when no STATEMENT_TEMPLATE_ID is set, with
+ * the same placeholders a template would have.
+ * @param {Body} body The body of a new, empty document.
+ */
+function writeDefaultStatementLayout(body) {
+  body.getParagraphs()[0].setText('Employee Statement').setHeading(DocumentApp.ParagraphHeading.HEADING1);
+  body.appendParagraph('{{EMPLOYEE NAME}}, {{EMPLOYER}}');
+  body.appendParagraph('Period: {{STARTDATE}} to {{ENDDATE}}');
+  
+  body.appendParagraph('Pay').setHeading(DocumentApp.ParagraphHeading.HEADING2);
+  body.appendParagraph('Gross {{GROSSTOTAL}}, deductions {{DEDUCTIONSTOTAL}}, nett {{NETTTOTAL}}, paid {{PAIDTOTAL}}');
+  body.appendParagraph('{{PAYSLIPS}}');
+  
+  body.appendParagraph('Loans').setHeading(DocumentApp.ParagraphHeading.HEADING2);
+  body.appendParagraph('Opening balance {{LOANOPENING}}, closing balance {{LOANCLOSING}} ' +
+      '(principal {{LOANPRINCIPAL}}, interest {{LOANINTEREST}}, fees {{LOANFEES}})');
+  body.appendParagraph('{{LOANS}}');
+  
+  body.appendParagraph('Leave').setHeading(DocumentApp.ParagraphHeading.HEADING2);
+  body.appendParagraph('{{LEAVE}}');
+  // A document section has to end with a paragraph, so the last table needs one after it
+  body.appendParagraph('');
+}
+
+/**
+ * Replaces the paragraph holding a placeholder with a table.
+ * @param {Body} body The document body.
+ * @param {string} placeholder The placeholder text, e.g. {{LOANS}}.
+ * @param {Array<string>} headers The table header row.
+ * @param {Array<Array<string>>} rows The table rows.
+ */
+function insertStatementTable(body, placeholder, headers, rows) {
+  var found = body.findText(placeholder);
+  if (!found) return;
+  var paragraph = found.getElement().getParent();
+  var index = body.getChildIndex(paragraph);
+  if (rows.length === 0) {
+    rows = [[ 'None' ].concat(headers.slice(1).map(function() { return ''; }))];
+  }
+  body.insertTable(index, [headers].concat(rows));
+  paragraph.removeFromParent();
+}
+
 /**
  * Generates an employee history report.
  * @param {string} employeeId The employee ID or name.
@@ -155,6 +933,7 @@ function generateEmployeeReport(employeeId) {
     var paidCol = headers.indexOf('PaidToAccount');
     var hoursCol = headers.indexOf('HOURS');
     var overtimeCol = headers.indexOf('OVERTIMEHOURS');
+    var statusCol = headers.indexOf('STATUS');
     
     var employeeData = [];
     var totals = {
@@ -167,6 +946,7 @@ function generateEmployeeReport(employeeId) {
     };
     
     for (var i = 0; i < data.length; i++) {
+      if (data[i][statusCol] === 'Reversed') continue;
       if (data[i][employeeCol] === employeeId) {
         employeeData.push({
           weekEnding: data[i][weekEndingCol],
@@ -204,10 +984,24 @@ function generateEmployeeReport(employeeId) {
 }
 
 /**
- * Generates a loan balances report showing all outstanding loans.
+ * Generates a loan balances report showing all outstanding loans today.
  * @return {object} Report data or error.
  */
 function generateLoanReport() {
+  return generateOutstandingLoansReport(new Date());
+}
+
+/**
+ * Generates the outstanding loans report as at a date by replaying each
+ * employee's EmployeeLoans transactions up to that date in transaction-date
+ * order. Balances are aged by the days since the employee's last repayment
+ * (or since the loan was disbursed if nothing has been repaid) and grouped by
+ * employer. Reversed transactions and their reversals are ignored as they
+ * cancel out.
+ * @param {Date} asOfDate The date to report balances at (defaults to today).
+ * @return {object} Report data, dates as yyyy-MM-dd, or error.
+ */
+function generateOutstandingLoansReport(asOfDate) {
   try {
     var sheet = getSheet('EmployeeLoans');
     if (!sheet) {
@@ -220,50 +1014,293 @@ function generateLoanReport() {
       return { success: false, message: 'No headers found' };
     }
     
-    var employeeIdCol = headers.indexOf('Employee ID');
-    var balanceAfterCol = headers.indexOf('BalanceAfter');
+    var asOf = asOfDate ? new Date(asOfDate) : new Date();
+    var asOfKey = formatDate(asOf);
+    var employees = {};
+    listEmployees().forEach(function(employee) {
+      employees[String(employee.ID)] = employee;
+    });
     
-    // Get unique employees and their latest balances
-    var employeeBalances = {};
-    for (var i = 0; i < data.length; i++) {
-      var empId = data[i][employeeIdCol];
-      employeeBalances[empId] = parseFloat(data[i][balanceAfterCol]) || 0;
-    }
+    var histories = {};
+    data.forEach(function(row) {
+      var transaction = {};
+      headers.forEach(function(header, i) {
+        transaction[header] = row[i];
+      });
+      var empId = transaction['Employee ID'];
+      if (!empId || formatDate(transaction.TransactionDate) > asOfKey) return;
+      (histories[empId] = histories[empId] || []).push(transaction);
+    });
     
-    // Build report data
-    var loanData = [];
-    var totalOutstanding = 0;
-    
-    for (var empId in employeeBalances) {
-      var balance = employeeBalances[empId];
-      if (balance > 0) {
-        // Get employee name from employee sheet
-        var employee = getEmployeeById(empId);
-        loanData.push({
-          employeeId: empId,
-          employeeName: employee ? employee.REFNAME : 'Unknown',
-          balance: balance
-        });
-        totalOutstanding += balance;
+    var buckets = ['0-30', '31-90', '90+'];
+    var emptyTotals = function() {
+      var totals = { employeesWithLoans: 0, totalOutstanding: 0, principal: 0, interest: 0, fees: 0, ageing: {} };
+      buckets.forEach(function(bucket) {
+        totals.ageing[bucket] = 0;
+      });
+      return totals;
+    };
+    var addTo = function(totals, row) {
+      totals.employeesWithLoans++;
+      totals.totalOutstanding += row.balance;
+      totals.principal += row.principal;
+      totals.interest += row.interest;
+      totals.fees += row.fees;
+      totals.ageing[row.ageingBucket] += row.balance;
+    };
+    
+    var dayMs = 24 * 60 * 60 * 1000;
+    var groups = {};
+    var totals = emptyTotals();
+    
+    for (var empId in histories) {
+      var steps = replayLoanTransactions(withoutReversedLoanTransactions(histories[empId]));
+      if (steps.length === 0) continue;
+      var last = steps[steps.length - 1];
+      if (last.balanceAfter <= 0.005) continue;
+      
+      // The current loan starts after the balance was last cleared
+      var lastRepayment = null;
+      var loanStart = null;
+      steps.forEach(function(step, i) {
+        var date = new Date(step.transaction.TransactionDate);
+        if (i === 0 || steps[i - 1].balanceAfter <= 0.005) loanStart = date;
+        if (step.transaction.LoanType === 'Repayment') lastRepayment = date;
+      });
+      var since = lastRepayment && lastRepayment >= loanStart ? lastRepayment : loanStart;
+      var days = Math.max(0, Math.floor((asOf - since) / dayMs));
+      
+      var employee = employees[String(empId)];
+      var employer = employee ? employee.EMPLOYER : 'Unknown';
+      var row = {
+        employeeId: empId,
+        employeeName: employee ? employee.REFNAME : 'Unknown',
+        employer: employer,
+        balance: last.balanceAfter,
+        principal: last.principal,
+        interest: last.interest,
+        fees: last.fees,
+        lastRepaymentDate: formatDate(lastRepayment),
+        daysSinceRepayment: days,
+        ageingBucket: days <= 30 ? '0-30' : (days <= 90 ? '31-90' : '90+')
+      };
+      
+      if (!groups[employer]) {
+        groups[employer] = { employer: employer, data: [], totals: emptyTotals() };
       }
+      groups[employer].data.push(row);
+      addTo(groups[employer].totals, row);
+      addTo(totals, row);
     }
     
-    // Sort by balance descending
-    loanData.sort(function(a, b) {
-      return b.balance - a.balance;
+    var employerData = Object.keys(groups).sort().map(function(employer) {
+      var group = groups[employer];
+      group.data.sort(function(a, b) {
+        return b.balance - a.balance;
+      });
+      return group;
     });
     
     return {
       success: true,
-      asOfDate: new Date(),
-      data: loanData,
-      totals: {
-        employeesWithLoans: loanData.length,
-        totalOutstanding: totalOutstanding
-      }
+      asOfDate: formatDate(asOf),
+      ageingBuckets: buckets,
+      data: employerData,
+      totals: totals
+    };
+  } catch (e) {
+    Logger.log('ERROR in generateOutstandingLoansReport: ' + e.message);
+    return { success: false, message: 'Error generating report: ' + e.message };
+  }
+}
+
+/**
+ * Generates a report of loan repayment plans that are behind schedule. A plan
+ * expects one instalment for every week ending from its start week up to the
+ * as-of date, up to the amount owed when it was agreed; anything less repaid
+ * since the plan started is in arrears. Reversed transactions and their
+ * reversals are ignored as they cancel out.
+ * @param {Date} asOfDate The date to assess the plans at (defaults to today).
+ * @return {object} Report data, dates as yyyy-MM-dd, or error.
+ */
+function generateLoanScheduleReport(asOfDate) {
+  try {
+    var sheet = getSheet('EmployeeLoans');
+    if (!sheet) {
+      return { success: false, message: 'Loans sheet not found' };
+    }
+    
+    var data = sheet.getDataRange().getValues();
+    var headers = data.shift();
+    if (!headers) {
+      return { success: false, message: 'No headers found' };
+    }
+    
+    var asOf = asOfDate ? new Date(asOfDate) : new Date();
+    var employees = {};
+    listEmployees().forEach(function(employee) {
+      employees[employee.ID] = employee;
+    });
+    
+    // Group transactions by employee in the order getLoanHistory uses
+    var histories = {};
+    data.forEach(function(row) {
+      var transaction = {};
+      headers.forEach(function(header, i) {
+        transaction[header] = row[i];
+      });
+      var empId = transaction['Employee ID'];
+      if (!empId) return;
+      (histories[empId] = histories[empId] || []).push(transaction);
+    });
+    
+    var weekMs = 7 * 24 * 60 * 60 * 1000;
+    var planData = [];
+    var totals = { activePlans: 0, plansBehind: 0, totalArrears: 0 };
+    
+    for (var empId in histories) {
+      var history = histories[empId].sort(function(a, b) {
+        var dateA = new Date(a.TransactionDate).getTime();
+        var dateB = new Date(b.TransactionDate).getTime();
+        if (dateA !== dateB) return dateA - dateB;
+        return new Date(a.Timestamp).getTime() - new Date(b.Timestamp).getTime();
+      });
+      var plan = getLoanRepaymentPlan(empId, asOf, history);
+      if (!plan) continue;
+      
+      var balance = 0;
+      var repaid = 0;
+      var planStart = new Date(plan.startWeek.getTime() - 6 * 24 * 60 * 60 * 1000);
+      withoutReversedLoanTransactions(history).forEach(function(t) {
+        var date = new Date(t.TransactionDate);
+        if (date > asOf) return;
+        var amount = parseFloat(t.LoanAmount) || 0;
+        balance += amount;
+        if (t.LoanType === 'Repayment' && date >= planStart) {
+          repaid -= amount;
+        }
+      });
+      if (balance <= 0) continue;
+      totals.activePlans++;
+      
+      var weeksDue = Math.floor((asOf - plan.startWeek) / weekMs) + 1;
+      var expected = Math.min(plan.instalment * weeksDue, plan.principal);
+      var arrears = Math.round((expected - repaid) * 100) / 100;
+      if (arrears <= 0) continue;
+      
+      var employee = employees[empId];
+      planData.push({
+        employeeId: empId,
+        employeeName: employee ? employee.REFNAME : 'Unknown',
+        employer: employee ? employee.EMPLOYER : '',
+        startWeek: formatDate(plan.startWeek),
+        instalment: plan.instalment,
+        weeksDue: weeksDue,
+        expected: expected,
+        repaid: Math.round(repaid * 100) / 100,
+        arrears: arrears,
+        weeksBehind: Math.round(arrears / plan.instalment * 10) / 10,
+        balance: Math.round(balance * 100) / 100
+      });
+      totals.plansBehind++;
+      totals.totalArrears += arrears;
+    }
+    
+    planData.sort(function(a, b) {
+      return b.arrears - a.arrears;
+    });
+    
+    return {
+      success: true,
+      asOfDate: formatDate(asOf),
+      data: planData,
+      totals: totals
+    };
+  } catch (e) {
+    Logger.log('ERROR in generateLoanScheduleReport: ' + e.message);
+    return { success: false, message: 'Error generating report: ' + e.message };
+  }
+}
+
+/**
+ * Generates an absenteeism report to support the disciplinary process: AWOL
+ * and unplanned sick leave per employee over the rolling windows in
+ * CONFIG.ABSENTEEISM, with Bradford Factor scores, the thresholds each
+ * employee has reached and sick leave waiting for a medical certificate.
+ * Employees with no unplanned absence are left out.
+ * @param {Date} asOfDate The last day of the rolling windows.
+ * @return {object} Report data sorted by Bradford Factor, dates as
+ *     yyyy-MM-dd, or error.
+ */
+function generateAbsenteeismReport(asOfDate) {
+  try {
+    var asOf = asOfDate ? new Date(asOfDate) : new Date();
+    var sheet = getSheet('LEAVE');
+    if (!sheet) {
+      return { success: false, message: 'Leave sheet not found' };
+    }
+    
+    var data = sheet.getDataRange().getValues();
+    var headers = data.shift();
+    var histories = {};
+    data.forEach(function(row) {
+      var record = {};
+      headers.forEach(function(header, i) {
+        record[header] = row[i];
+      });
+      var name = record['EMPLOYEE NAME'];
+      if (!name) return;
+      (histories[name] = histories[name] || []).push(record);
+    });
+    
+    var employees = getEmployeeLookup();
+    var reportData = [];
+    var totals = { employeesWithAbsence: 0, employeesFlagged: 0, missingCertificates: 0 };
+    for (var name in histories) {
+      var employee = employees[name];
+      if (employee && employee['EMPLOYMENT STATUS'] === 'Terminated') continue;
+      
+      var absence = getAbsenteeism(name, asOf, histories[name]);
+      var hasAbsence = absence.windows.some(function(window) {
+        return window.awolSpells + window.sickSpells > 0;
+      });
+      if (!hasAbsence && absence.missingCertificates.length === 0) continue;
+      
+      var row = {
+        employeeName: employee ? employee.REFNAME : name,
+        employer: employee ? employee.EMPLOYER : ''
+      };
+      absence.windows.forEach(function(window) {
+        row['awolDays' + window.days] = window.awolDays;
+        row['awolSpells' + window.days] = window.awolSpells;
+        row['sickDays' + window.days] = window.sickDays;
+        row['sickSpells' + window.days] = window.sickSpells;
+      });
+      row.bradfordFactor = absence.bradfordFactor;
+      row.actions = absence.flags.map(function(flag) {
+        return flag.action;
+      }).join('; ');
+      row.missingCertificates = absence.missingCertificates.length;
+      reportData.push(row);
+      
+      totals.employeesWithAbsence++;
+      if (absence.flags.length > 0) totals.employeesFlagged++;
+      totals.missingCertificates += absence.missingCertificates.length;
+    }
+    
+    reportData.sort(function(a, b) {
+      return b.bradfordFactor - a.bradfordFactor;
+    });
+    
+    return {
+      success: true,
+      asOfDate: formatDate(asOf),
+      windows: CONFIG.ABSENTEEISM.WINDOWS_DAYS,
+      data: reportData,
+      totals: totals
     };
   } catch (e) {
-    Logger.log('ERROR in generateLoanReport: ' + e.message);
+    Logger.log('ERROR in generateAbsenteeismReport: ' + e.message);
     return { success: false, message: 'Error generating report: ' + e.message };
   }
 }
@@ -5,16 +5,19 @@
 /**
  * Imports timesheet data from CSV (from HTML analyzer output).
  * @param {string} csvText The CSV data as text.
+ * @param {object} options Optional settings: parser `delimiter` and
+ *     `duplicateMode` (see stagePendingTimesheets).
  * @return {object} Result with success status and message.
  */
-function importTimesheetCSV(csvText) {
+function importTimesheetCSV(csvText, options) {
   try {
-    var parsed = parseTimesheetCSV(csvText);
+    var parsed = parseTimesheetCSV(csvText, options);
     if (!parsed.success) {
       return parsed;
     }
     
-    var result = stagePendingTimesheets(parsed.data);
+    var result = stagePendingTimesheets(parsed.data, options);
+    result.errors = parsed.errors;
     return result;
   } catch (e) {
     Logger.log('ERROR in importTimesheetCSV: ' + e.message);
@@ -23,83 +26,642 @@ function importTimesheetCSV(csvText) {
 }
 
 /**
- * Parses CSV text into structured timesheet data.
+ * Parses CSV text into structured timesheet data. Rows that cannot be parsed
+ * or fail validation are left out and reported in `errors` with their line
+ * numbers.
  * @param {string} csvText The CSV data as text.
- * @return {object} Parsed data or error.
+ * @param {object} options Optional parser settings, e.g. `delimiter`.
+ * @return {object} Parsed data and per-row errors, or an error.
  */
-function parseTimesheetCSV(csvText) {
+function parseTimesheetCSV(csvText, options) {
   try {
-    var lines = csvText.trim().split('\n');
-    if (lines.length < 2) {
+    var parsed = parseCSV(csvText, options);
+    if (parsed.headers.length === 0 || (parsed.rows.length === 0 && parsed.errors.length === 0)) {
       return { success: false, message: 'CSV file is empty or invalid' };
     }
     
-    var headers = lines[0].split(',').map(function(h) {
-      return h.trim();
+    var errors = parsed.errors.map(function(error) {
+      return 'Line ' + error.line + ': ' + error.message;
     });
+    var employees = getEmployeeLookup();
     var data = [];
+    parsed.rows.forEach(function(row) {
+      var validation = validateTimesheet(row.record, employees[row.record['EMPLOYEE NAME']]);
+      if (!validation.isValid) {
+        errors.push('Line ' + row.line + ': ' + validation.errors.join(', '));
+        return;
+      }
+      data.push(row.record);
+    });
+    errors.forEach(function(error) {
+      Logger.log('WARNING: Skipping CSV row - ' + error);
+    });
+    
+    return { success: true, data: data, errors: errors };
+  } catch (e) {
+    Logger.log('ERROR in parseTimesheetCSV: ' + e.message);
+    return { success: false, message: 'Error parsing CSV: ' + e.message };
+  }
+}
+
+/**
+ * Imports timesheet rows from an uploaded Excel workbook and stages them for
+ * approval. Uses the same sheet, header row and column mapping as the preview,
+ * and the workbook the preview converted when its `fileId` is passed back.
+ * The converted workbook is deleted once the rows are staged.
+ * @param {object} request The upload: `fileId` from the preview, or
+ *     `fileName`, `mimeType` and base64 `data`; optional `sheetName`,
+ *     `headerRow` and `columnMap` overrides, and `duplicateMode` (see
+ *     stagePendingTimesheets).
+ * @return {object} Result with success status, message and rejected rows.
+ */
+function importTimesheetData(request) {
+  try {
+    var preview = previewTimesheetImport(request);
+    if (!preview.success) {
+      return preview;
+    }
+    if (preview.rows.length === 0) {
+      return { success: false, message: 'No valid timesheet rows to import', rejected: preview.rejected };
+    }
+    
+    var result = stagePendingTimesheets(preview.rows.map(function(row) {
+      return row.record;
+    }), { duplicateMode: request.duplicateMode });
+    result.rejected = preview.rejected;
+    if (result.success) {
+      discardTimesheetImport(preview.fileId);
+    }
+    return result;
+  } catch (e) {
+    Logger.log('ERROR in importTimesheetData: ' + e.message);
+    return { success: false, message: 'Error importing timesheet: ' + e.message };
+  }
+}
+
+/**
+ * Reads an uploaded Excel workbook and shows which rows would be imported and
+ * which rejected, without staging anything. The workbook is converted once;
+ * pass the returned `fileId` back to preview again or import without
+ * re-uploading it.
+ * @param {object} request The upload: `fileId` from an earlier preview, or
+ *     `fileName`, `mimeType` and base64 `data`; and optional `sheetName`,
+ *     `headerRow` (1-based) and `columnMap` ({PendingTimesheets column:
+ *     workbook header}) overrides.
+ * @return {object} The converted workbook's `fileId`, sheet names, detected
+ *     header row, column mapping, valid `rows` and `rejected` rows with
+ *     reasons, or an error.
+ */
+function previewTimesheetImport(request) {
+  try {
+    if (!request || (!request.data && !request.fileId)) {
+      return { success: false, message: 'No file uploaded' };
+    }
+    
+    var workbook = readTimesheetWorkbook(request);
+    if (workbook.values.length === 0) {
+      return {
+        success: false,
+        message: 'Sheet "' + workbook.sheetName + '" is empty',
+        fileId: workbook.fileId,
+        sheetNames: workbook.sheetNames,
+        sheetName: workbook.sheetName
+      };
+    }
     
-    for (var i = 1; i < lines.length; i++) {
-      var values = lines[i].split(',').map(function(v) {
-        return v.trim();
+    var headerIndex = request.headerRow ? request.headerRow - 1 : detectTimesheetHeaderRow(workbook.values);
+    var headers = (workbook.values[headerIndex] || []).map(function(h) {
+      return String(h).trim();
+    });
+    var columnMap = buildColumnMap(headers, CONFIG.TIMESHEET_COLUMN_ALIASES, request.columnMap);
+    if (columnMap['EMPLOYEE NAME'] === undefined || columnMap.WEEKENDING === undefined) {
+      return {
+        success: false,
+        message: 'Could not find the employee name and week ending columns. Please choose the header row or map the columns.',
+        fileId: workbook.fileId,
+        sheetNames: workbook.sheetNames,
+        sheetName: workbook.sheetName,
+        headerRow: headerIndex + 1,
+        headers: headers
+      };
+    }
+    
+    var employees = getEmployeeLookup();
+    var rows = [];
+    var rejected = [];
+    for (var i = headerIndex + 1; i < workbook.values.length; i++) {
+      var values = workbook.values[i];
+      var isBlank = values.every(function(value) {
+        return value === '' || value === null;
       });
+      if (isBlank) continue;
+      
       var record = {};
-      headers.forEach(function(header, idx) {
-        record[header] = values[idx];
-      });
-      data.push(record);
+      for (var column in columnMap) {
+        var value = values[columnMap[column]];
+        if (value instanceof Date) {
+          // Dates can't be returned through google.script.run
+          value = formatDate(value);
+        }
+        record[column] = typeof value === 'string' ? value.trim() : value;
+      }
+      
+      var validation = validateTimesheet(record, employees[record['EMPLOYEE NAME']]);
+      if (validation.isValid) {
+        rows.push({ row: i + 1, record: record });
+      } else {
+        rejected.push({ row: i + 1, record: record, errors: validation.errors });
+      }
+    }
+    
+    var mapping = {};
+    for (var key in columnMap) {
+      mapping[key] = headers[columnMap[key]];
     }
     
-    return { success: true, data: data };
+    return {
+      success: true,
+      fileId: workbook.fileId,
+      sheetNames: workbook.sheetNames,
+      sheetName: workbook.sheetName,
+      headerRow: headerIndex + 1,
+      headers: headers,
+      columnMap: mapping,
+      rows: rows,
+      rejected: rejected
+    };
   } catch (e) {
-    Logger.log('ERROR in parseTimesheetCSV: ' + e.message);
-    return { success: false, message: 'Error parsing CSV: ' + e.message };
+    Logger.log('ERROR in previewTimesheetImport: ' + e.message);
+    return { success: false, message: 'Error reading workbook: ' + e.message };
+  }
+}
+
+// Name prefix of the temporary Google Sheets that uploaded workbooks are
+// converted to. Only files with this prefix are reused or deleted by ID.
+var TIMESHEET_IMPORT_FILE_PREFIX = 'Timesheet import - ';
+
+/**
+ * Reads the values of one sheet of an uploaded Excel workbook. The upload is
+ * converted to a temporary Google Sheet, which is kept so that later previews
+ * and the import can reuse it through `fileId`.
+ *
+ * Converting Excel files needs the Drive API advanced service (v3): in the
+ * Apps Script editor, add it under Services with the identifier `Drive`.
+ * @param {object} request The upload: `fileId` of an already converted
+ *     workbook, or `fileName`, `mimeType` and base64 `data`; and optional
+ *     `sheetName` (defaults to the first sheet).
+ * @return {object} The converted workbook's `fileId`, its `sheetNames`, the
+ *     `sheetName` read and its `values`.
+ */
+function readTimesheetWorkbook(request) {
+  var fileId = request.fileId;
+  if (fileId) {
+    getTimesheetImportFile(fileId);
+  } else {
+    if (typeof Drive === 'undefined') {
+      throw new Error('Excel import needs the Drive API advanced service. Add it under Services in the Apps Script editor.');
+    }
+    var blob = Utilities.newBlob(Utilities.base64Decode(request.data), request.mimeType, request.fileName);
+    fileId = Drive.Files.create({
+      name: TIMESHEET_IMPORT_FILE_PREFIX + request.fileName,
+      mimeType: MimeType.GOOGLE_SHEETS
+    }, blob).id;
+  }
+  
+  var spreadsheet = SpreadsheetApp.openById(fileId);
+  var sheets = spreadsheet.getSheets();
+  var sheetNames = sheets.map(function(sheet) {
+    return sheet.getName();
+  });
+  
+  var sheet = request.sheetName ? spreadsheet.getSheetByName(request.sheetName) : sheets[0];
+  if (!sheet) {
+    throw new Error('Sheet "' + request.sheetName + '" not found in workbook');
+  }
+  
+  return {
+    fileId: fileId,
+    sheetNames: sheetNames,
+    sheetName: sheet.getName(),
+    values: sheet.getLastRow() > 0 ? sheet.getDataRange().getValues() : []
+  };
+}
+
+/**
+ * Gets a workbook converted by readTimesheetWorkbook, refusing any other file.
+ * @param {string} fileId The converted workbook's file ID.
+ * @return {File} The Drive file.
+ */
+function getTimesheetImportFile(fileId) {
+  var file = DriveApp.getFileById(fileId);
+  if (file.getName().indexOf(TIMESHEET_IMPORT_FILE_PREFIX) !== 0) {
+    throw new Error('File is not a timesheet import');
+  }
+  return file;
+}
+
+/**
+ * Deletes the temporary Google Sheet of a timesheet import, once it has been
+ * imported or the upload is abandoned.
+ * @param {string} fileId The converted workbook's file ID.
+ * @return {object} Result with success status and message.
+ */
+function discardTimesheetImport(fileId) {
+  try {
+    if (!fileId) {
+      return { success: true, message: 'Nothing to discard' };
+    }
+    getTimesheetImportFile(fileId).setTrashed(true);
+    return { success: true, message: 'Timesheet import discarded' };
+  } catch (e) {
+    Logger.log('ERROR in discardTimesheetImport: ' + e.message);
+    return { success: false, message: 'Error discarding timesheet import: ' + e.message };
+  }
+}
+
+/**
+ * Finds the header row of a timesheet sheet: the row within the first ten
+ * that matches the most known column names. Exports often have title rows above it.
+ * @param {Array<Array>} values The sheet values.
+ * @return {number} The 0-based index of the header row.
+ */
+function detectTimesheetHeaderRow(values) {
+  var bestIndex = 0;
+  var bestMatches = 0;
+  for (var i = 0; i < Math.min(values.length, 10); i++) {
+    var headers = values[i].map(function(h) {
+      return String(h).trim();
+    });
+    var matches = Object.keys(buildColumnMap(headers, CONFIG.TIMESHEET_COLUMN_ALIASES)).length;
+    if (matches > bestMatches) {
+      bestIndex = i;
+      bestMatches = matches;
+    }
+  }
+  return bestIndex;
+}
+
+/**
+ * Maps column names to header indexes using a list of accepted aliases per
+ * column, with optional explicit overrides. Matching ignores case, spaces and
+ * punctuation.
+ * @param {Array<string>} headers The header row.
+ * @param {object} aliases Accepted header names keyed by column name.
+ * @param {object} overrides Optional {column name: header}.
+ * @return {object} Header indexes keyed by column name.
+ */
+function buildColumnMap(headers, aliases, overrides) {
+  var normalise = function(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+  };
+  var normalisedHeaders = headers.map(normalise);
+  var columnMap = {};
+  
+  for (var column in aliases) {
+    var candidates = [column].concat(aliases[column]);
+    if (overrides && overrides[column]) {
+      candidates = [overrides[column]];
+    }
+    for (var i = 0; i < candidates.length; i++) {
+      var index = normalisedHeaders.indexOf(normalise(candidates[i]));
+      if (index !== -1) {
+        columnMap[column] = index;
+        break;
+      }
+    }
+  }
+  return columnMap;
+}
+
+/**
+ * Imports a raw biometric clock punch log (ClockInRef, timestamp, in/out),
+ * pairs the punches into shifts and stages one timesheet per employee per week.
+ * @param {string} csvText The punch log as CSV text.
+ * @param {object} options Optional settings: parser `delimiter` and
+ *     `duplicateMode` (see stagePendingTimesheets).
+ * @return {object} Result with success status, message, parse `errors` and
+ *     punch `exceptions` (missing or unmatched punches) that need checking.
+ */
+function importClockPunches(csvText, options) {
+  try {
+    var parsed = parseCSV(csvText, options);
+    if (parsed.headers.length === 0) {
+      return { success: false, message: 'Punch file is empty or invalid' };
+    }
+    
+    var columnMap = buildColumnMap(parsed.headers, CONFIG.CLOCK_PUNCHES.COLUMN_ALIASES);
+    if (columnMap.ClockInRef === undefined || columnMap.TIMESTAMP === undefined || columnMap.DIRECTION === undefined) {
+      return { success: false, message: 'Punch file must have ClockInRef, timestamp and in/out columns' };
+    }
+    
+    var errors = parsed.errors.map(function(error) {
+      return 'Line ' + error.line + ': ' + error.message;
+    });
+    var punches = [];
+    parsed.rows.forEach(function(row) {
+      var values = parsed.headers.map(function(header) {
+        return row.record[header];
+      });
+      var clockInRef = values[columnMap.ClockInRef];
+      var timestamp = parseClockTimestamp(values[columnMap.TIMESTAMP]);
+      var direction = normaliseClockDirection(values[columnMap.DIRECTION]);
+      
+      if (!clockInRef || !timestamp || !direction) {
+        errors.push('Line ' + row.line + ': Invalid punch (ClockInRef, timestamp and in/out are required)');
+        return;
+      }
+      punches.push({ clockInRef: clockInRef, timestamp: timestamp, direction: direction, line: row.line });
+    });
+    
+    var paired = pairClockPunches(punches);
+    var summary = summariseShifts(paired.shifts);
+    
+    var exceptions = paired.exceptions.concat(summary.exceptions);
+    var result = stagePendingTimesheets(summary.timesheets, options);
+    result.errors = errors;
+    result.exceptions = exceptions;
+    return result;
+  } catch (e) {
+    Logger.log('ERROR in importClockPunches: ' + e.message);
+    return { success: false, message: 'Error importing clock punches: ' + e.message };
+  }
+}
+
+/**
+ * Pairs each employee's punches into shifts. An IN is closed by the next OUT,
+ * so shifts may run past midnight. An IN with no OUT (or whose OUT is more
+ * than MAX_SHIFT_HOURS later) and an OUT with no IN are reported as exceptions.
+ * @param {Array<object>} punches Punches with `clockInRef`, `timestamp`, `direction`.
+ * @return {object} The `shifts` ({clockInRef, start, end}) and `exceptions`.
+ */
+function pairClockPunches(punches) {
+  var maxShiftMs = CONFIG.CLOCK_PUNCHES.MAX_SHIFT_HOURS * 60 * 60 * 1000;
+  var byEmployee = {};
+  punches.forEach(function(punch) {
+    var key = String(punch.clockInRef);
+    if (!byEmployee[key]) byEmployee[key] = [];
+    byEmployee[key].push(punch);
+  });
+  
+  var shifts = [];
+  var exceptions = [];
+  var describe = function(punch, message) {
+    return 'ClockInRef ' + punch.clockInRef + ' at ' + punch.timestamp.toLocaleString() +
+        ' (line ' + punch.line + '): ' + message;
+  };
+  
+  for (var clockInRef in byEmployee) {
+    var list = byEmployee[clockInRef].sort(function(a, b) {
+      return a.timestamp - b.timestamp;
+    });
+    var open = null;
+    list.forEach(function(punch) {
+      if (punch.direction === 'IN') {
+        if (open) {
+          exceptions.push(describe(open, 'Missing OUT punch'));
+        }
+        open = punch;
+      } else if (!open) {
+        exceptions.push(describe(punch, 'Missing IN punch'));
+      } else if (punch.timestamp - open.timestamp > maxShiftMs) {
+        exceptions.push(describe(open, 'Missing OUT punch (next OUT is more than ' +
+            CONFIG.CLOCK_PUNCHES.MAX_SHIFT_HOURS + ' hours later)'));
+        exceptions.push(describe(punch, 'Missing IN punch'));
+        open = null;
+      } else {
+        shifts.push({ clockInRef: clockInRef, start: open.timestamp, end: punch.timestamp });
+        open = null;
+      }
+    });
+    if (open) {
+      exceptions.push(describe(open, 'Missing OUT punch'));
+    }
+  }
+  
+  return { shifts: shifts, exceptions: exceptions };
+}
+
+/**
+ * Totals shifts into weekly timesheets per employee. Each shift counts towards
+ * the day it started on; the lunch break is deducted from long shifts, hours
+ * over DAILY_ORDINARY_HOURS in a day or WEEKLY_ORDINARY_HOURS in a week are
+ * overtime (BCEA section 9). The daily limit is scaled by the employee's work
+ * pattern, so all hours on a day off or a public holiday are overtime.
+ * @param {Array<object>} shifts Shifts from pairClockPunches.
+ * @return {object} The `timesheets` to stage and `exceptions` for unknown ClockInRefs.
+ */
+function summariseShifts(shifts) {
+  var settings = CONFIG.CLOCK_PUNCHES;
+  var employees = {};
+  listEmployees().forEach(function(employee) {
+    employees[String(employee.ClockInRef)] = employee;
+  });
+  
+  // Worked minutes per employee, per week, per day
+  var weeks = {};
+  var exceptions = [];
+  shifts.forEach(function(shift) {
+    var employee = employees[shift.clockInRef];
+    if (!employee) {
+      exceptions.push('ClockInRef ' + shift.clockInRef + ': No employee with this ClockInRef');
+      return;
+    }
+    
+    var minutes = Math.round((shift.end - shift.start) / (60 * 1000));
+    if (minutes > settings.LUNCH_AFTER_HOURS * 60) {
+      minutes -= settings.LUNCH_BREAK_MINUTES;
+    }
+    
+    var weekEnding = formatDate(getWeekEndingDate(shift.start));
+    var key = employee['EMPLOYEE NAME'] + '|' + weekEnding;
+    if (!weeks[key]) {
+      weeks[key] = { employee: employee, employeeName: employee['EMPLOYEE NAME'], weekEnding: weekEnding, days: {}, shifts: 0 };
+    }
+    var day = formatDate(shift.start);
+    weeks[key].days[day] = (weeks[key].days[day] || 0) + minutes;
+    weeks[key].shifts++;
+  });
+  
+  var timesheets = [];
+  for (var key in weeks) {
+    var week = weeks[key];
+    var ordinary = 0;
+    var overtime = 0;
+    var weekEnding = new Date(week.weekEnding);
+    var workingDays = {};
+    getWorkingDays(week.employee, addDays(weekEnding, -6), addDays(weekEnding, 1)).forEach(function(workingDay) {
+      workingDays[formatDate(workingDay.date)] = workingDay.share;
+    });
+    Object.keys(week.days).sort().forEach(function(day) {
+      var dayOrdinary = Math.min(week.days[day], settings.DAILY_ORDINARY_HOURS * 60 * (workingDays[day] || 0));
+      var weekRemaining = Math.max(0, settings.WEEKLY_ORDINARY_HOURS * 60 - ordinary);
+      dayOrdinary = Math.min(dayOrdinary, weekRemaining);
+      ordinary += dayOrdinary;
+      overtime += week.days[day] - dayOrdinary;
+    });
+    
+    timesheets.push({
+      'EMPLOYEE NAME': week.employeeName,
+      'WEEKENDING': week.weekEnding,
+      'HOURS': Math.floor(ordinary / 60),
+      'MINUTES': ordinary % 60,
+      'OVERTIMEHOURS': Math.floor(overtime / 60),
+      'OVERTIMEMINUTES': overtime % 60,
+      'NOTES': 'Imported from clock punches (' + week.shifts + ' shifts)'
+    });
   }
+  
+  return { timesheets: timesheets, exceptions: exceptions };
+}
+
+/**
+ * Parses a clock punch timestamp. Accepts ISO-style `yyyy-MM-dd HH:mm[:ss]`
+ * and South African `dd/MM/yyyy HH:mm[:ss]` formats.
+ * @param {string|Date} value The timestamp from the punch log.
+ * @return {Date} The parsed date, or null if it is not a valid timestamp.
+ */
+function parseClockTimestamp(value) {
+  if (value instanceof Date) return value;
+  var text = String(value || '').trim();
+  
+  var match = text.match(/^(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  if (match) {
+    return new Date(match[1], match[2] - 1, match[3], match[4], match[5], match[6] || 0);
+  }
+  match = text.match(/^(\d{1,2})[-\/](\d{1,2})[-\/](\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  if (match) {
+    return new Date(match[3], match[2] - 1, match[1], match[4], match[5], match[6] || 0);
+  }
+  return null;
+}
+
+/**
+ * Normalises the in/out marker of a clock punch.
+ * @param {string} value The direction from the punch log (e.g. "IN", "C/Out", "Check In").
+ * @return {string} "IN" or "OUT", or null if it is not recognised.
+ */
+function normaliseClockDirection(value) {
+  var text = String(value || '').trim().toLowerCase();
+  if (/out$/.test(text) || text === 'o' || text === '1') return 'OUT';
+  if (/in$/.test(text) || text === 'i' || text === '0') return 'IN';
+  return null;
 }
 
 /**
  * Stages timesheet data in the PendingTimesheets sheet for approval.
+ * Records for an employee and week that already have an open or approved
+ * timesheet, or a payslip in MASTERSALARY, are handled by `duplicateMode`:
+ * "skip" leaves them out, "replace" overwrites the pending or resubmitted
+ * timesheet (a week that already has a payslip is flagged instead), and
+ * "flag" stages them with status "Conflict" for the approver to resolve.
  * @param {Array<object>} data The timesheet records to stage.
- * @return {object} Result with success status and message.
+ * @param {object} options Optional settings: `duplicateMode` (default "skip").
+ * @return {object} Result with success status, message and the `duplicates` found.
  */
-function stagePendingTimesheets(data) {
+function stagePendingTimesheets(data, options) {
   try {
+    options = options || {};
+    var duplicateMode = options.duplicateMode || 'skip';
+    if (['skip', 'replace', 'flag'].indexOf(duplicateMode) === -1) {
+      return { success: false, message: 'Invalid duplicate mode: ' + duplicateMode };
+    }
+    
     var sheet = getSheet('PendingTimesheets');
     if (!sheet) {
       return { success: false, message: 'PendingTimesheets sheet not found. Please check sheet configuration.' };
     }
     
     var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    var existing = getExistingTimesheetKeys(sheet);
+    var employees = getEmployeeLookup();
+    var notesCol = headers.indexOf('NOTES');
     
     var addedCount = 0;
+    var replacedCount = 0;
+    var skippedCount = 0;
+    var flaggedCount = 0;
+    var duplicates = [];
+    var history = [];
+    
     for (var i = 0; i < data.length; i++) {
       var record = data[i];
-      var validation = validateTimesheet(record);
+      var validation = validateTimesheet(record, employees[record['EMPLOYEE NAME']]);
       if (!validation.isValid) {
         Logger.log('WARNING: Skipping invalid record - ' + validation.errors.join(', '));
         continue;
       }
       
+      var key = getTimesheetKey(record['EMPLOYEE NAME'], record.WEEKENDING);
+      var pendingRow = existing.pending[key];
+      var payslipRecord = existing.payslips[key];
+      var status = 'Pending';
+      var conflict = null;
+      
+      if (pendingRow || payslipRecord) {
+        conflict = payslipRecord ?
+            'Payslip #' + payslipRecord + ' already exists for this week' :
+            'Timesheet already pending for this week';
+        duplicates.push({
+          employeeName: record['EMPLOYEE NAME'],
+          weekEnding: formatDate(record.WEEKENDING),
+          reason: conflict
+        });
+        
+        if (duplicateMode === 'skip') {
+          skippedCount++;
+          continue;
+        }
+        if (duplicateMode === 'flag' || payslipRecord || (pendingRow.status !== 'Pending' && pendingRow.status !== 'Resubmitted')) {
+          status = 'Conflict';
+        }
+      }
+      
       var newRow = headers.map(function(header) {
         switch(header) {
           case 'Status':
-            return 'Pending';
+            return status;
           case 'ImportDate':
             return new Date();
           case 'RecordID':
-            return generateUUID();
+            return status === 'Pending' && pendingRow ? pendingRow.recordId : generateUUID();
           default:
             return record[header] || null;
         }
       });
       
-      sheet.appendRow(newRow);
-      addedCount++;
+      history.push({
+        recordId: newRow[headers.indexOf('RecordID')],
+        fromStatus: status === 'Pending' && pendingRow ? pendingRow.status : null,
+        toStatus: status,
+        comment: status === 'Conflict' ? conflict : (pendingRow ? 'Replaced by import' : 'Imported')
+      });
+      if (status === 'Conflict') {
+        if (notesCol !== -1) {
+          newRow[notesCol] = 'CONFLICT: ' + conflict + (newRow[notesCol] ? ' - ' + newRow[notesCol] : '');
+        }
+        sheet.appendRow(newRow);
+        flaggedCount++;
+      } else if (pendingRow) {
+        sheet.getRange(pendingRow.row, 1, 1, headers.length).setValues([newRow]);
+        replacedCount++;
+      } else {
+        sheet.appendRow(newRow);
+        existing.pending[key] = { row: sheet.getLastRow(), recordId: newRow[headers.indexOf('RecordID')], status: 'Pending' };
+        addedCount++;
+      }
     }
     
+    recordTimesheetHistory(history);
+    
+    var message = addedCount + ' timesheet record(s) staged for approval';
+    if (replacedCount > 0) message += ', ' + replacedCount + ' replaced';
+    if (skippedCount > 0) message += ', ' + skippedCount + ' duplicate(s) skipped';
+    if (flaggedCount > 0) message += ', ' + flaggedCount + ' flagged as conflicts';
+    
     return { 
       success: true, 
-      message: addedCount + ' timesheet record(s) staged for approval' 
+      message: message,
+      duplicates: duplicates
     };
   } catch (e) {
     Logger.log('ERROR in stagePendingTimesheets: ' + e.message);
@@ -107,6 +669,58 @@ function stagePendingTimesheets(data) {
   }
 }
 
+/**
+ * Checks whether a timesheet is still awaiting a decision: pending,
+ * resubmitted after a rejection, or flagged as a conflict.
+ * @param {string} status The timesheet status.
+ * @return {boolean} True if the timesheet can be approved or rejected.
+ */
+function isOpenTimesheetStatus(status) {
+  return status === 'Pending' || status === 'Resubmitted' || status === 'Conflict';
+}
+
+/**
+ * Builds a key identifying an employee's timesheet for a week.
+ * @param {string} employeeName The name of the employee.
+ * @param {Date} weekEnding The week ending date.
+ * @return {string} The key.
+ */
+function getTimesheetKey(employeeName, weekEnding) {
+  return String(employeeName || '').trim().toLowerCase() + '|' + formatDate(weekEnding);
+}
+
+/**
+ * Collects the employee/week combinations that already have a timesheet in
+ * PendingTimesheets (excluding rejected ones) or a payslip in MASTERSALARY.
+ * @param {Sheet} sheet The PendingTimesheets sheet.
+ * @return {object} `pending` rows ({row, recordId, status}) and `payslips`
+ *     record numbers, keyed by getTimesheetKey.
+ */
+function getExistingTimesheetKeys(sheet) {
+  var existing = { pending: {}, payslips: {} };
+  
+  var data = sheet.getDataRange().getValues();
+  var headers = data.shift();
+  var nameCol = headers.indexOf('EMPLOYEE NAME');
+  var weekEndingCol = headers.indexOf('WEEKENDING');
+  var recordIdCol = headers.indexOf('RecordID');
+  var statusCol = headers.indexOf('Status');
+  for (var i = 0; i < data.length; i++) {
+    if (!data[i][nameCol] || data[i][statusCol] === 'Rejected') continue;
+    existing.pending[getTimesheetKey(data[i][nameCol], data[i][weekEndingCol])] = {
+      row: i + 2,
+      recordId: data[i][recordIdCol],
+      status: data[i][statusCol]
+    };
+  }
+  
+  listPayslips().forEach(function(payslip) {
+    existing.payslips[getTimesheetKey(payslip['EMPLOYEE NAME'], payslip.WEEKENDING)] = payslip.RECORDNUMBER;
+  });
+  
+  return existing;
+}
+
 /**
  * Approves a pending timesheet and creates a payslip.
  * @param {string} recordId The RecordID of the pending timesheet.
@@ -125,13 +739,27 @@ function approveTimesheet(recordId) {
     var statusCol = headers.indexOf('Status');
     
     for (var i = 0; i < data.length; i++) {
-      if (data[i][recordIdCol] === recordId) {
+      if (String(data[i][recordIdCol]) === String(recordId)) {
+        var status = data[i][statusCol];
+        if (!isOpenTimesheetStatus(status)) {
+          return { success: false, message: 'Timesheet is ' + status };
+        }
+        
         // Build payslip data from timesheet record
         var payslipData = {};
         headers.forEach(function(header, idx) {
           payslipData[header] = data[i][idx];
         });
         
+        var existingPayslip = findPayslipForWeek(payslipData['EMPLOYEE NAME'], payslipData.WEEKENDING);
+        if (existingPayslip) {
+          return {
+            success: false,
+            message: 'Payslip #' + existingPayslip.RECORDNUMBER + ' already exists for ' +
+                payslipData['EMPLOYEE NAME'] + ' for this week'
+          };
+        }
+        
         // Create the payslip
         var result = createPayslip(payslipData);
         if (!result.success) {
@@ -140,6 +768,8 @@ function approveTimesheet(recordId) {
         
         // Update status to Approved
         sheet.getRange(i + 2, statusCol + 1).setValue('Approved');
+        recordTimesheetHistory([{ recordId: recordId, fromStatus: status, toStatus: 'Approved',
+            comment: 'Payslip #' + result.recordNumber }]);
         
         return { 
           success: true, 
@@ -157,12 +787,235 @@ function approveTimesheet(recordId) {
 }
 
 /**
- * Rejects a pending timesheet.
+ * Approves several pending timesheets at once and creates their payslips in a
+ * single write. Timesheets flagged as conflicts, or for weeks that already
+ * have a payslip, are not approved. A script lock is held from reading the
+ * statuses until the approved ones are written, and only those Status cells
+ * are written.
+ * @param {object} selection Either `recordIds` (a list of RecordIDs) or
+ *     `weekEnding` (approve everything pending for that week).
+ * @return {object} Result with success status, message and a per-record
+ *     `results` summary ({recordId, employeeName, success, recordNumber, message}).
+ */
+function approveTimesheets(selection) {
+  var lock = LockService.getScriptLock();
+  try {
+    if (!lock.tryLock(30000)) {
+      return { success: false, message: 'Timesheets are being updated by someone else, please try again' };
+    }
+    
+    selection = selection || {};
+    var sheet = getSheet('PendingTimesheets');
+    if (!sheet) {
+      return { success: false, message: 'PendingTimesheets sheet not found' };
+    }
+    
+    var data = sheet.getDataRange().getValues();
+    var headers = data.shift();
+    var recordIdCol = headers.indexOf('RecordID');
+    var statusCol = headers.indexOf('Status');
+    var weekEndingCol = headers.indexOf('WEEKENDING');
+    
+    var selectedIds = null;
+    if (selection.recordIds) {
+      selectedIds = {};
+      selection.recordIds.forEach(function(id) {
+        selectedIds[String(id)] = true;
+      });
+    } else if (!selection.weekEnding) {
+      return { success: false, message: 'Select timesheets or a week ending date to approve' };
+    }
+    
+    var existingPayslips = {};
+    listPayslips().forEach(function(payslip) {
+      existingPayslips[getTimesheetKey(payslip['EMPLOYEE NAME'], payslip.WEEKENDING)] = payslip.RECORDNUMBER;
+    });
+    
+    var results = [];
+    var toCreate = [];
+    for (var i = 0; i < data.length; i++) {
+      var recordId = String(data[i][recordIdCol]);
+      if (selectedIds ? !selectedIds[recordId] :
+          formatDate(data[i][weekEndingCol]) !== formatDate(selection.weekEnding) ||
+          !isOpenTimesheetStatus(data[i][statusCol])) {
+        continue;
+      }
+      
+      var payslipData = {};
+      headers.forEach(function(header, idx) {
+        payslipData[header] = data[i][idx];
+      });
+      var result = { recordId: recordId, employeeName: payslipData['EMPLOYEE NAME'], success: false };
+      results.push(result);
+      
+      var key = getTimesheetKey(payslipData['EMPLOYEE NAME'], payslipData.WEEKENDING);
+      if (data[i][statusCol] === 'Conflict') {
+        result.message = 'Conflicts must be resolved and approved individually';
+      } else if (!isOpenTimesheetStatus(data[i][statusCol])) {
+        result.message = 'Timesheet is ' + data[i][statusCol];
+      } else if (existingPayslips[key]) {
+        result.message = 'Payslip #' + existingPayslips[key] + ' already exists for this week';
+      } else {
+        existingPayslips[key] = 'pending';
+        toCreate.push({ row: i, data: payslipData, result: result, status: data[i][statusCol] });
+      }
+    }
+    
+    if (selectedIds) {
+      Object.keys(selectedIds).forEach(function(id) {
+        var found = results.some(function(result) {
+          return result.recordId === id;
+        });
+        if (!found) {
+          results.push({ recordId: id, success: false, message: 'Timesheet record not found' });
+        }
+      });
+    }
+    
+    if (toCreate.length > 0) {
+      var created = createPayslips(toCreate.map(function(item) {
+        return item.data;
+      }));
+      if (!created.success) {
+        return created;
+      }
+      
+      var history = [];
+      toCreate.forEach(function(item, idx) {
+        var payslip = created.results[idx];
+        item.result.success = payslip.success;
+        if (payslip.success) {
+          item.result.recordNumber = payslip.recordNumber;
+          sheet.getRange(item.row + 2, statusCol + 1).setValue('Approved');
+          history.push({ recordId: item.result.recordId, fromStatus: item.status, toStatus: 'Approved',
+              comment: 'Payslip #' + payslip.recordNumber });
+        } else {
+          item.result.message = payslip.message;
+        }
+      });
+      recordTimesheetHistory(history);
+    }
+    
+    var approvedCount = results.filter(function(result) {
+      return result.success;
+    }).length;
+    return {
+      success: true,
+      message: approvedCount + ' of ' + results.length + ' timesheet(s) approved',
+      results: results
+    };
+  } catch (e) {
+    Logger.log('ERROR in approveTimesheets: ' + e.message);
+    return { success: false, message: 'Error approving timesheets: ' + e.message };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Rejects several pending timesheets at once, recording the reason and the
+ * current user as the rejector.
+ * @param {Array<string>} recordIds The RecordIDs of the timesheets to reject.
+ * @param {string} reason The reason for rejection (required).
+ * @return {object} Result with success status, message and a per-record
+ *     `results` summary ({recordId, success, message}).
+ */
+function rejectTimesheets(recordIds, reason) {
+  try {
+    reason = reason ? String(reason).trim() : '';
+    if (!reason) {
+      return { success: false, message: 'A reason for rejection is required' };
+    }
+    
+    var sheet = getSheet('PendingTimesheets');
+    if (!sheet) {
+      return { success: false, message: 'PendingTimesheets sheet not found' };
+    }
+    
+    var data = sheet.getDataRange().getValues();
+    var headers = data.shift();
+    var missing = ['Status', 'RejectionReason', 'RejectedBy'].filter(function(header) {
+      return headers.indexOf(header) === -1;
+    });
+    if (missing.length > 0) {
+      return { success: false, message: 'PendingTimesheets is missing the column(s): ' + missing.join(', ') };
+    }
+    
+    var recordIdCol = headers.indexOf('RecordID');
+    var statusCol = headers.indexOf('Status');
+    var reasonCol = headers.indexOf('RejectionReason');
+    var rejectedByCol = headers.indexOf('RejectedBy');
+    var user = getCurrentUser();
+    
+    var rowsById = {};
+    data.forEach(function(row, i) {
+      rowsById[String(row[recordIdCol])] = i;
+    });
+    
+    var history = [];
+    var results = (recordIds || []).map(function(id) {
+      var i = rowsById[String(id)];
+      if (i === undefined) {
+        return { recordId: id, success: false, message: 'Timesheet record not found' };
+      }
+      var status = data[i][statusCol];
+      if (!isOpenTimesheetStatus(status)) {
+        return { recordId: id, success: false, message: 'Timesheet is ' + status };
+      }
+      // Only these cells are written, so the rest of the row is left as is
+      sheet.getRange(i + 2, statusCol + 1).setValue('Rejected');
+      sheet.getRange(i + 2, reasonCol + 1).setValue(reason);
+      sheet.getRange(i + 2, rejectedByCol + 1).setValue(user);
+      history.push({ recordId: id, fromStatus: status, toStatus: 'Rejected', comment: reason });
+      return { recordId: id, success: true };
+    });
+    
+    if (history.length > 0) {
+      recordTimesheetHistory(history);
+    }
+    
+    var rejectedCount = results.filter(function(result) {
+      return result.success;
+    }).length;
+    return {
+      success: true,
+      message: rejectedCount + ' of ' + results.length + ' timesheet(s) rejected',
+      results: results
+    };
+  } catch (e) {
+    Logger.log('ERROR in rejectTimesheets: ' + e.message);
+    return { success: false, message: 'Error rejecting timesheets: ' + e.message };
+  }
+}
+
+/**
+ * Rejects a pending timesheet. A reason is required; the rejector is recorded
+ * and the timesheet can be corrected and resubmitted.
  * @param {string} recordId The RecordID of the pending timesheet.
+ * @param {string} reason The reason for rejection.
+ * @return {object} Result with success status and message.
+ */
+function rejectTimesheet(recordId, reason) {
+  var result = rejectTimesheets([recordId], reason);
+  if (!result.success) {
+    return result;
+  }
+  var outcome = result.results[0];
+  return outcome.success ?
+      { success: true, message: 'Timesheet rejected' } :
+      { success: false, message: outcome.message };
+}
+
+/**
+ * Corrects a rejected timesheet and resubmits it for approval.
+ * @param {string} recordId The RecordID of the rejected timesheet.
+ * @param {object} changes The corrected HOURS, MINUTES, OVERTIMEHOURS,
+ *     OVERTIMEMINUTES and/or NOTES.
  * @return {object} Result with success status and message.
  */
-function rejectTimesheet(recordId) {
+function resubmitTimesheet(recordId, changes) {
   try {
+    changes = changes || {};
     var sheet = getSheet('PendingTimesheets');
     if (!sheet) {
       return { success: false, message: 'PendingTimesheets sheet not found' };
@@ -172,21 +1025,187 @@ function rejectTimesheet(recordId) {
     var headers = data.shift();
     var recordIdCol = headers.indexOf('RecordID');
     var statusCol = headers.indexOf('Status');
+    var editable = ['HOURS', 'MINUTES', 'OVERTIMEHOURS', 'OVERTIMEMINUTES', 'NOTES'];
     
     for (var i = 0; i < data.length; i++) {
-      if (data[i][recordIdCol] === recordId) {
-        sheet.getRange(i + 2, statusCol + 1).setValue('Rejected');
-        return { success: true, message: 'Timesheet rejected' };
+      if (String(data[i][recordIdCol]) !== String(recordId)) continue;
+      
+      if (data[i][statusCol] !== 'Rejected') {
+        return { success: false, message: 'Only rejected timesheets can be resubmitted' };
       }
+      
+      var record = {};
+      headers.forEach(function(header, idx) {
+        record[header] = data[i][idx];
+      });
+      editable.forEach(function(field) {
+        if (changes.hasOwnProperty(field)) {
+          record[field] = changes[field];
+        }
+      });
+      
+      var validation = validateTimesheet(record);
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+      
+      record.Status = 'Resubmitted';
+      var newRow = headers.map(function(header) {
+        return record[header];
+      });
+      sheet.getRange(i + 2, 1, 1, headers.length).setValues([newRow]);
+      recordTimesheetHistory([{ recordId: recordId, fromStatus: 'Rejected', toStatus: 'Resubmitted', comment: changes.comment }]);
+      
+      return { success: true, message: 'Timesheet resubmitted for approval' };
     }
     
     return { success: false, message: 'Timesheet record not found' };
   } catch (e) {
-    Logger.log('ERROR in rejectTimesheet: ' + e.message);
-    return { success: false, message: 'Error rejecting timesheet: ' + e.message };
+    Logger.log('ERROR in resubmitTimesheet: ' + e.message);
+    return { success: false, message: 'Error resubmitting timesheet: ' + e.message };
   }
 }
 
+/**
+ * Gets the status history of a timesheet from the TimesheetHistory sheet.
+ * @param {string} recordId The RecordID of the timesheet.
+ * @return {Array<object>} The status changes in date order, with dates as strings.
+ */
+function getTimesheetHistory(recordId) {
+  var sheet = getSheet('TimesheetHistory');
+  if (!sheet) return [];
+  
+  var data = sheet.getDataRange().getValues();
+  var headers = data.shift();
+  if (!headers) return [];
+  var recordIdCol = headers.indexOf('RecordID');
+  
+  return data.filter(function(row) {
+    return String(row[recordIdCol]) === String(recordId);
+  }).map(function(row) {
+    var entry = {};
+    headers.forEach(function(header, i) {
+      entry[header] = row[i] instanceof Date ? row[i].toISOString() : row[i];
+    });
+    return entry;
+  }).sort(function(a, b) {
+    return new Date(a.TIMESTAMP) - new Date(b.TIMESTAMP);
+  });
+}
+
+/**
+ * Appends status changes to the TimesheetHistory sheet.
+ * @param {Array<object>} entries The changes: `recordId`, `fromStatus`,
+ *     `toStatus` and optional `comment`.
+ */
+function recordTimesheetHistory(entries) {
+  if (!entries || entries.length === 0) return;
+  var sheet = getSheet('TimesheetHistory');
+  if (!sheet) {
+    Logger.log('WARNING: TimesheetHistory sheet not found, status history not recorded');
+    return;
+  }
+  
+  var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  var user = getCurrentUser();
+  var rows = entries.map(function(entry) {
+    return headers.map(function(header) {
+      switch(header) {
+        case 'RecordID': return entry.recordId;
+        case 'FromStatus': return entry.fromStatus || null;
+        case 'ToStatus': return entry.toStatus;
+        case 'Comment': return entry.comment || null;
+        case 'USER': return user;
+        case 'TIMESTAMP': return new Date();
+        default: return null;
+      }
+    });
+  });
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+}
+
+/**
+ * Lists timesheets in PendingTimesheets with filtering, sorting and paging.
+ * @param {object} filters Optional filters: `status`, `weekEndingFrom` and
+ *     `weekEndingTo` (dates), `employer`, `employeeName` (partial match),
+ *     `sortBy` (a column name, default WEEKENDING), `sortDirection` ("asc" or
+ *     "desc", default "desc"), `page` (1-based) and `pageSize` (default 50).
+ * @return {object} The page of `records` (dates as yyyy-MM-dd), the `total`
+ *     matching records, paging details and `statusCounts` across all records.
+ */
+function listPendingTimesheets(filters) {
+  filters = filters || {};
+  var page = Math.max(1, parseInt(filters.page, 10) || 1);
+  var pageSize = Math.max(1, parseInt(filters.pageSize, 10) || 50);
+  var empty = { records: [], total: 0, page: page, pageSize: pageSize, totalPages: 0, statusCounts: {} };
+  
+  var sheet = getSheet('PendingTimesheets');
+  if (!sheet) return empty;
+  
+  var data = sheet.getDataRange().getValues();
+  var headers = data.shift();
+  if (!headers) return empty;
+  
+  var employers = {};
+  listEmployees().forEach(function(employee) {
+    employers[employee['EMPLOYEE NAME']] = employee.EMPLOYER;
+  });
+  
+  var from = filters.weekEndingFrom ? formatDate(filters.weekEndingFrom) : null;
+  var to = filters.weekEndingTo ? formatDate(filters.weekEndingTo) : null;
+  var search = filters.employeeName ? String(filters.employeeName).trim().toLowerCase() : '';
+  var statusCounts = {};
+  
+  var records = [];
+  data.forEach(function(row) {
+    var record = {};
+    headers.forEach(function(header, i) {
+      record[header] = row[i] instanceof Date ? formatDate(row[i]) : row[i];
+    });
+    if (!record.RecordID) return;
+    record.EMPLOYER = employers[record['EMPLOYEE NAME']] || '';
+    
+    var status = record.Status || 'Pending';
+    statusCounts[status] = (statusCounts[status] || 0) + 1;
+    
+    if (filters.status && status !== filters.status) return;
+    if (from && (!record.WEEKENDING || record.WEEKENDING < from)) return;
+    if (to && (!record.WEEKENDING || record.WEEKENDING > to)) return;
+    if (filters.employer && record.EMPLOYER !== filters.employer) return;
+    if (search && String(record['EMPLOYEE NAME'] || '').toLowerCase().indexOf(search) === -1) return;
+    records.push(record);
+  });
+  
+  var sortBy = filters.sortBy || 'WEEKENDING';
+  var direction = filters.sortDirection === 'asc' ? 1 : -1;
+  records.sort(function(a, b) {
+    var valueA = a[sortBy];
+    var valueB = b[sortBy];
+    var result;
+    if (typeof valueA === 'number' && typeof valueB === 'number') {
+      result = valueA - valueB;
+    } else {
+      result = String(valueA || '').localeCompare(String(valueB || ''));
+    }
+    if (result === 0) {
+      // Keep a stable, alphabetical order within equal values
+      return String(a['EMPLOYEE NAME'] || '').localeCompare(String(b['EMPLOYEE NAME'] || ''));
+    }
+    return result * direction;
+  });
+  
+  var total = records.length;
+  var start = (page - 1) * pageSize;
+  return {
+    records: records.slice(start, start + pageSize),
+    total: total,
+    page: page,
+    pageSize: pageSize,
+    totalPages: Math.ceil(total / pageSize),
+    statusCounts: statusCounts
+  };
+}
+
 /**
  * Gets approved timesheets for a specific week ending date.
  * @param {Date} weekEnding The week ending date.
@@ -244,9 +1263,10 @@ function clearPendingTimesheets() {
 /**
  * Validates timesheet data.
  * @param {object} data The timesheet data to validate.
+ * @param {object} employee Optional employee record, looked up by name if not given.
  * @return {object} An object with `isValid` and a list of `errors`.
  */
-function validateTimesheet(data) {
+function validateTimesheet(data, employee) {
   var errors = [];
   
   if (!data['EMPLOYEE NAME']) {
@@ -257,6 +1277,13 @@ function validateTimesheet(data) {
     errors.push('Week ending date is required');
   }
   
+  if (data['EMPLOYEE NAME'] && data.WEEKENDING) {
+    employee = employee || getEmployeeByName(data['EMPLOYEE NAME']);
+    if (isAfterTermination(employee, data.WEEKENDING)) {
+      errors.push('Employee was terminated on ' + formatDate(employee['TERMINATION DATE']) + ', before this week');
+    }
+  }
+  
   var hours = parseFloat(data.HOURS) || 0;
   var overtimeHours = parseFloat(data.OVERTIMEHOURS) || 0;
   
@@ -30,6 +30,27 @@ function onChange(e) {
   }
 }
 
+/**
+ * Installs the monthly trigger that charges interest on employee loans.
+ */
+function installLoanInterestTrigger() {
+  ScriptApp.newTrigger('onMonthStart')
+    .timeBased()
+    .onMonthDay(1)
+    .create();
+}
+
+/**
+ * The monthly trigger handler. Charges loan interest up to the last day of
+ * the previous month.
+ */
+function onMonthStart() {
+  var today = new Date();
+  var monthEnd = new Date(today.getFullYear(), today.getMonth(), 0);
+  var result = accrueLoanInterest(monthEnd);
+  Logger.log(result.message);
+}
+
 /**
  * Uninstalls all triggers for the project.
  */
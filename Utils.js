@@ -43,6 +43,149 @@ function formatDate(date) {
     return Utilities.formatDate(new Date(date), Session.getScriptTimeZone(), "yyyy-MM-dd");
 }
 
+/**
+ * Gets the week ending date for the pay week a date falls in, using
+ * CONFIG.WEEK_ENDING_DAY.
+ * @param {Date} date The date.
+ * @return {Date} The week ending date (at midnight).
+ */
+function getWeekEndingDate(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() + (CONFIG.WEEK_ENDING_DAY - d.getDay() + 7) % 7);
+  return d;
+}
+
+/**
+ * Adds a number of months to a date.
+ * @param {Date} date The date.
+ * @param {number} months The months to add, negative to subtract.
+ * @return {Date} A new date.
+ */
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+}
+
+/**
+ * Adds a number of days to a date.
+ * @param {Date} date The date.
+ * @param {number} days The days to add, negative to subtract.
+ * @return {Date} A new date.
+ */
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Gets the date of Easter Sunday in a year, using the anonymous Gregorian
+ * algorithm.
+ * @param {number} year The year.
+ * @return {Date} Easter Sunday.
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Gets the South African public holidays in a year from CONFIG.PUBLIC_HOLIDAYS,
+ * Easter and CONFIG.ADDITIONAL_PUBLIC_HOLIDAYS. A holiday on a Sunday is also
+ * observed on the following Monday.
+ * @param {number} year The year.
+ * @return {object} Holiday names keyed by date (yyyy-MM-dd).
+ */
+function getPublicHolidays(year) {
+  const dates = [];
+  for (const monthDay in CONFIG.PUBLIC_HOLIDAYS) {
+    const parts = monthDay.split('-');
+    dates.push({ date: new Date(year, parseInt(parts[0], 10) - 1, parseInt(parts[1], 10)), name: CONFIG.PUBLIC_HOLIDAYS[monthDay] });
+  }
+  const easter = getEasterSunday(year);
+  dates.push({ date: addDays(easter, -2), name: 'Good Friday' });
+  dates.push({ date: addDays(easter, 1), name: 'Family Day' });
+  for (const key in CONFIG.ADDITIONAL_PUBLIC_HOLIDAYS) {
+    const parts = key.split('-');
+    if (parseInt(parts[0], 10) !== year) continue;
+    dates.push({ date: new Date(year, parseInt(parts[1], 10) - 1, parseInt(parts[2], 10)), name: CONFIG.ADDITIONAL_PUBLIC_HOLIDAYS[key] });
+  }
+
+  const holidays = {};
+  dates.forEach(holiday => holidays[formatDate(holiday.date)] = holiday.name);
+  dates.forEach(holiday => {
+    const monday = formatDate(addDays(holiday.date, 1));
+    if (holiday.date.getDay() === 0 && !holidays[monday]) {
+      holidays[monday] = holiday.name + ' (observed)';
+    }
+  });
+  return holidays;
+}
+
+/**
+ * Gets an employee's work pattern from CONFIG.WORK_PATTERNS.
+ * @param {object} employee The employee record.
+ * @return {Array<number>} The share of a normal day worked on each day, Sunday first.
+ */
+function getWorkPattern(employee) {
+  const name = (employee && employee['WORK PATTERN']) || CONFIG.DEFAULT_WORK_PATTERN;
+  return CONFIG.WORK_PATTERNS[name] || CONFIG.WORK_PATTERNS[CONFIG.DEFAULT_WORK_PATTERN];
+}
+
+/**
+ * Lists the days in a date range with the share of a normal day the employee
+ * would work on each and the public holiday falling on it, if any.
+ * @param {object} employee The employee record.
+ * @param {Date} from The first date.
+ * @param {Date} to The date after the last date.
+ * @return {Array<object>} The `date`, working day `share` and `holiday` name
+ *     for each day; the share is 0 on a public holiday.
+ */
+function getWorkingDays(employee, from, to) {
+  const pattern = getWorkPattern(employee);
+  const holidays = {};
+  const days = [];
+  const end = new Date(to);
+  end.setHours(0, 0, 0, 0);
+  let date = new Date(from);
+  date.setHours(0, 0, 0, 0);
+  for (; date < end; date = addDays(date, 1)) {
+    const year = date.getFullYear();
+    if (!holidays[year]) holidays[year] = getPublicHolidays(year);
+    const holiday = holidays[year][formatDate(date)] || null;
+    days.push({ date: date, share: holiday ? 0 : pattern[date.getDay()], holiday: holiday });
+  }
+  return days;
+}
+
+/**
+ * Counts an employee's working days from a start date up to, but not
+ * including, an end date, leaving out public holidays and the days their
+ * work pattern has off.
+ * @param {object} employee The employee record.
+ * @param {Date} from The first date.
+ * @param {Date} to The date after the last date, e.g. the return date from leave.
+ * @return {number} The working days, with half days as 0.5.
+ */
+function countWorkingDays(employee, from, to) {
+  return getWorkingDays(employee, from, to).reduce((total, day) => total + day.share, 0);
+}
+
 /**
  * Formats a number into a currency string (South African Rand).
  * @param {number} amount The amount to format.
@@ -74,6 +217,34 @@ function validateSAIdNumber(idNumber) {
   return true;
 }
 
+/**
+ * Derives a person's age from the date of birth in a South African ID number.
+ * @param {string} idNumber The 13-digit ID number (YYMMDD...).
+ * @param {Date} asOfDate The date at which to calculate the age.
+ * @return {number} The age in completed years, or null if the ID number is invalid.
+ */
+function getAgeFromIdNumber(idNumber, asOfDate) {
+  // Sheets stores ID numbers as numbers, dropping the leading zero for births after 2000
+  idNumber = idNumber ? String(idNumber).padStart(13, '0') : '';
+  if (!validateSAIdNumber(idNumber)) {
+    return null;
+  }
+  asOfDate = asOfDate ? new Date(asOfDate) : new Date();
+
+  const yy = parseInt(idNumber.substring(0, 2), 10);
+  const month = parseInt(idNumber.substring(2, 4), 10) - 1;
+  const day = parseInt(idNumber.substring(4, 6), 10);
+  // Two-digit years later than the current year must be from the previous century
+  const century = yy > asOfDate.getFullYear() % 100 ? 1900 : 2000;
+  const birthDate = new Date(century + yy, month, day);
+
+  let age = asOfDate.getFullYear() - birthDate.getFullYear();
+  if (asOfDate.getMonth() < month || (asOfDate.getMonth() === month && asOfDate.getDate() < day)) {
+    age--;
+  }
+  return age;
+}
+
 /**
  * Validates a phone number.
  * @param {string} phoneNumber The phone number to validate.
@@ -85,6 +256,110 @@ function validatePhoneNumber(phoneNumber) {
   return regex.test(phoneNumber);
 }
 
+/**
+ * Parses delimited text following RFC 4180: quoted fields may contain
+ * delimiters, line breaks and doubled quotes. Handles a leading BOM, CRLF line
+ * endings and blank lines. When no delimiter is given it is detected from the
+ * header line (comma, semicolon or tab).
+ * @param {string} text The CSV text.
+ * @param {object} options Optional settings: `delimiter`.
+ * @return {object} The `headers`, the parsed `rows` (each with its starting
+ *     `line` number and a `record` keyed by header) and any per-row `errors`.
+ */
+function parseCSV(text, options) {
+  options = options || {};
+  text = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectCSVDelimiter(text);
+
+  const rawRows = [];
+  const errors = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowStartLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      rawRows.push({ line: rowStartLine, fields: fields });
+      fields = [];
+      field = '';
+      line++;
+      rowStartLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) {
+    errors.push({ line: rowStartLine, message: 'Unterminated quoted field' });
+  } else if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    rawRows.push({ line: rowStartLine, fields: fields });
+  }
+
+  const nonBlank = rawRows.filter(row => !(row.fields.length === 1 && row.fields[0].trim() === ''));
+  if (nonBlank.length === 0) {
+    return { headers: [], rows: [], errors: errors, delimiter: delimiter };
+  }
+
+  const headers = nonBlank.shift().fields.map(h => h.trim());
+  const rows = [];
+  nonBlank.forEach(row => {
+    if (row.fields.length !== headers.length) {
+      errors.push({
+        line: row.line,
+        message: `Expected ${headers.length} fields but found ${row.fields.length}`
+      });
+      return;
+    }
+    const record = {};
+    headers.forEach((header, i) => record[header] = row.fields[i].trim());
+    rows.push({ line: row.line, record: record });
+  });
+
+  return { headers: headers, rows: rows, errors: errors, delimiter: delimiter };
+}
+
+/**
+ * Detects the delimiter of CSV text by counting candidates on the first line,
+ * outside quoted fields. Semicolons are common in SA-locale Excel exports.
+ * @param {string} text The CSV text.
+ * @return {string} The detected delimiter, defaulting to a comma.
+ */
+function detectCSVDelimiter(text) {
+  const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+  [',', ';', '\t'].forEach(candidate => {
+    const count = firstLine.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
 /**
  * Logger helper functions.
  */